@@ -8,7 +8,9 @@ import jayson from 'jayson/promise/index.js';
 // Create RPC client
 const client = jayson.Client.http({
   port: 8088,
-  hostname: '192.168.2.97'
+  hostname: '192.168.2.97',
+  // Required when the server runs with AUTH_ENABLED=true
+  headers: process.env.AMTRON_API_KEY ? { authorization: `Bearer ${process.env.AMTRON_API_KEY}` } : {}
 });
 
 /**
@@ -3,16 +3,74 @@
  * High-level control logic for Mennekes Amtron Compact EV Charger
  */
 
-import { MODBUS_CONFIG } from './registers.js';
+import { REGISTERS, MODBUS_CONFIG, parseRegisterVersion, formatModbusVersion } from './registers.js';
+import { modbusError } from './modbus-client.js';
+import { SurplusController } from './surplus-controller.js';
+import { LoadGuard, BLOCKING_CURRENT } from './load-guard.js';
+import { SessionGoal } from './session-goal.js';
+import { ChargingMonitor, MONITOR_EVENTS } from './charging-monitor.js';
+import { ErrorCatalogue } from './error-codes.js';
+
+/**
+ * Value limits of the register types, for registers without a documented range
+ */
+const TYPE_RANGES = {
+  uint16: [0, 0xFFFF],
+  int16: [-0x8000, 0x7FFF],
+  uint32: [0, 0xFFFFFFFF],
+  int32: [-0x80000000, 0x7FFFFFFF]
+};
+
+/**
+ * Installer settings (0x0700 block) by setting name
+ */
+export const SETTINGS = {
+  maximalEvseCurrent: 'MAXIMAL_EVSE_CURRENT',
+  phaseRotation: 'PHASE_ROTATION_SETTING',
+  connectedPhases: 'CONNECTED_PHASES',
+  phaseUsageSolarCharging: 'PHASE_USAGE_SOLAR_CHARGING',
+  fallbackCurrentMasterLost: 'FALLBACK_CURRENT_MASTER_LOST',
+  solarChargingActive: 'SOLAR_CHARGING_ACTIVE',
+  phaseSwitchingPause: 'PHASE_SWITCHING_PAUSE_SETTING'
+};
+
+/**
+ * Optional features and the registers they need (all registers must be supported)
+ */
+const FEATURES = {
+  serialNumber: ['SERIAL_NUMBER'],
+  cpState: ['CP_STATE'],
+  signaledCurrent: ['SIGNALED_CURRENT'],
+  temperature: ['TEMPERATURE'],
+  detectedEvPhases: ['DETECTED_EV_PHASES'],
+  switchedPhases: ['SWITCHED_PHASES'],
+  masterLostFallback: ['MASTER_LOST_FALLBACK_STATE'],
+  lifetimeStatistics: ['CHARGED_ENERGY_TOTAL', 'CHARGING_SESSIONS_TOTAL'],
+  settings: Object.values(SETTINGS),
+  restart: ['SYSTEM_RESTART']
+};
 
 export class AmtronController {
   /**
    * @param {ModbusClient} modbusClient - Modbus client instance
    * @param {Object} logger - Winston logger instance
+   * @param {Object} [options] - Controller options
+   * @param {Object} [options.surplus] - Initial PV surplus tuning (see SURPLUS_DEFAULTS)
+   * @param {Object} [options.loadGuard] - Initial load guard settings (see LOAD_GUARD_DEFAULTS)
+   * @param {Object} [options.sessionGoal] - Session goal watcher configuration ({ pollInterval })
+   * @param {Object} [options.monitor] - Charging monitor configuration ({ pollInterval, historySize, temperatureLimit })
+   * @param {ErrorCatalogue} [options.errorCatalogue] - Error code descriptions (default: the built-in catalogue)
    */
-  constructor(modbusClient, logger) {
+  constructor(modbusClient, logger, options = {}) {
     this.client = modbusClient;
     this.logger = logger;
+    this.requestedCurrent = null; // Last current set through setChargingCurrent, before load limiting
+    this.paused = false; // Set by pauseCharging until the next setChargingCurrent
+    this.errorCatalogue = options.errorCatalogue || new ErrorCatalogue();
+    this.surplus = new SurplusController(this, options.surplus, logger);
+    this.loadGuard = new LoadGuard(this, options.loadGuard, logger);
+    this.sessionGoal = new SessionGoal(this, options.sessionGoal, logger);
+    this.monitor = new ChargingMonitor(this, options.monitor, logger);
   }
 
   // ==========================================
@@ -52,10 +110,41 @@ export class AmtronController {
    * @returns {string} Formatted version string
    */
   formatModbusVersion(version) {
-    const major = (version >> 8) & 0xFF;
-    const minor = (version >> 4) & 0x0F;
-    const patch = version & 0x0F;
-    return `${major}.${minor}.${patch}`;
+    return formatModbusVersion(version);
+  }
+
+  /**
+   * Report the register layout of the charger and which registers and features it supports
+   * @returns {Promise<Object>} Capabilities
+   */
+  async getCapabilities() {
+    try {
+      // Detection failed at connect, try again
+      if (this.client.modbusVersion === null && this.client.getConnectionStatus()) {
+        await this.client.detectModbusVersion();
+      }
+
+      const version = this.client.modbusVersion;
+      const names = Object.keys(REGISTERS);
+
+      return {
+        modbusVersion: version !== null ? this.formatModbusVersion(version) : null,
+        modbusVersionRaw: version,
+        detected: version !== null,
+        features: Object.fromEntries(Object.entries(FEATURES).map(([feature, registers]) => [
+          feature,
+          registers.every(name => this.client.supportsRegister(name))
+        ])),
+        supportedRegisters: names.filter(name => this.client.supportsRegister(name)),
+        unsupportedRegisters: names.filter(name => !this.client.supportsRegister(name)).map(name => ({
+          register: name,
+          requires: this.formatModbusVersion(parseRegisterVersion(REGISTERS[name].version))
+        }))
+      };
+    } catch (error) {
+      this.logger.error(`Error getting capabilities: ${error.message}`);
+      throw error;
+    }
   }
 
   // ==========================================
@@ -250,10 +339,13 @@ export class AmtronController {
 
   /**
    * Get temperature
-   * @returns {Promise<number>} Temperature in °C
+   * @returns {Promise<number|null>} Temperature in °C (null if the charger has no temperature register)
    */
   async getTemperature() {
     try {
+      if (!this.client.supportsRegister('TEMPERATURE')) {
+        return null;
+      }
       return await this.client.readRegister('TEMPERATURE');
     } catch (error) {
       this.logger.error(`Error getting temperature: ${error.message}`);
@@ -354,6 +446,44 @@ export class AmtronController {
     return `${hours}h ${minutes}m ${secs}s`;
   }
 
+  /**
+   * Set a target energy and/or duration for the session. Charging stops when the first target is reached.
+   * @param {Object} goal - Goal
+   * @param {number} [goal.energy] - Energy to add in kWh
+   * @param {number} [goal.duration] - Duration to add in seconds
+   * @returns {Promise<Object>} Goal progress
+   */
+  async setSessionGoal(goal) {
+    try {
+      return await this.sessionGoal.set(goal);
+    } catch (error) {
+      this.logger.error(`Error setting session goal: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the session goal
+   * @returns {Object|null} Last goal progress
+   */
+  clearSessionGoal() {
+    return this.sessionGoal.clear();
+  }
+
+  /**
+   * Get session goal progress and estimated time to completion, as of the last goal check.
+   * Reading the goal never stops charging; the goal watcher does that.
+   * @returns {Promise<Object|null>} Goal progress, or null if no goal is set
+   */
+  async getSessionGoal() {
+    try {
+      return this.sessionGoal.getProgress();
+    } catch (error) {
+      this.logger.error(`Error getting session goal: ${error.message}`);
+      throw error;
+    }
+  }
+
   // ==========================================
   // CONTROL METHODS
   // ==========================================
@@ -361,18 +491,37 @@ export class AmtronController {
   /**
    * Set charging current limit
    * @param {number} ampere - Current limit in amperes (6-32A)
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Requested and confirmed current ({ requestedCurrent, chargingCurrent, limited, blocked, verified });
+   *   chargingCurrent is 0 while the load guard blocks charging
    */
   async setChargingCurrent(ampere) {
     try {
       // Validate current value
+      if (typeof ampere !== 'number' || !Number.isFinite(ampere)) {
+        throw modbusError('EVALIDATION', 'Current must be a number');
+      }
       if (ampere < MODBUS_CONFIG.MIN_CHARGING_CURRENT || ampere > MODBUS_CONFIG.MAX_CHARGING_CURRENT) {
-        throw new Error(`Current must be between ${MODBUS_CONFIG.MIN_CHARGING_CURRENT}A and ${MODBUS_CONFIG.MAX_CHARGING_CURRENT}A`);
+        throw modbusError('EVALIDATION', `Current must be between ${MODBUS_CONFIG.MIN_CHARGING_CURRENT}A and ${MODBUS_CONFIG.MAX_CHARGING_CURRENT}A`);
+      }
+
+      this.requestedCurrent = ampere;
+      this.paused = false;
+
+      // The load guard may only allow less than requested
+      const limit = this.loadGuard.limitCurrent(ampere);
+      const blocked = limit === BLOCKING_CURRENT;
+      const limited = limit !== ampere;
+      if (limited) {
+        this.logger.info(`Charging current ${ampere}A limited by load guard to ${blocked ? '0A (blocked)' : `${limit}A`}`);
       }
 
-      this.logger.info(`Setting charging current to ${ampere}A`);
-      await this.client.writeRegister('CHARGING_CURRENT_EM', ampere);
-      this.logger.info(`Successfully set charging current to ${ampere}A`);
+      this.logger.info(`Setting charging current to ${blocked ? 0 : limit}A`);
+      const confirmed = await this.client.writeRegister('CHARGING_CURRENT_EM', limit);
+      const verified = this.client.verifiesWrites('CHARGING_CURRENT_EM');
+      const chargingCurrent = blocked ? 0 : confirmed;
+      this.logger.info(`Successfully set charging current to ${chargingCurrent}A${verified && !blocked ? ` (charger reports ${confirmed}A)` : ''}`);
+
+      return { requestedCurrent: ampere, chargingCurrent, limited, blocked, verified };
     } catch (error) {
       this.logger.error(`Error setting charging current: ${error.message}`);
       throw error;
@@ -382,22 +531,28 @@ export class AmtronController {
   /**
    * Start charging (enable charging release)
    * @param {number} current - Initial charging current (default: 6A)
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Confirmed current and release ({ requestedCurrent, chargingCurrent, chargingReleased, verified })
    */
   async startCharging(current = 6) {
     try {
       this.logger.info(`Starting charging with ${current}A...`);
 
       // Set charging current first
-      await this.setChargingCurrent(current);
+      const result = await this.setChargingCurrent(current);
 
       // Wait a bit
       await this.delay(100);
 
       // Enable charging release
-      await this.client.writeRegister('CHARGING_RELEASE_EM', 1);
+      const release = await this.client.writeRegister('CHARGING_RELEASE_EM', 1);
 
       this.logger.info('Charging started successfully');
+
+      return {
+        ...result,
+        chargingReleased: release === 1,
+        verified: result.verified && this.client.verifiesWrites('CHARGING_RELEASE_EM')
+      };
     } catch (error) {
       this.logger.error(`Error starting charging: ${error.message}`);
       throw error;
@@ -406,16 +561,18 @@ export class AmtronController {
 
   /**
    * Stop charging (disable charging release)
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Confirmed release ({ chargingReleased, verified })
    */
   async stopCharging() {
     try {
       this.logger.info('Stopping charging...');
 
       // Disable charging release
-      await this.client.writeRegister('CHARGING_RELEASE_EM', 0);
+      const release = await this.client.writeRegister('CHARGING_RELEASE_EM', 0);
 
       this.logger.info('Charging stopped successfully');
+
+      return { chargingReleased: release === 1, verified: this.client.verifiesWrites('CHARGING_RELEASE_EM') };
     } catch (error) {
       this.logger.error(`Error stopping charging: ${error.message}`);
       throw error;
@@ -424,16 +581,20 @@ export class AmtronController {
 
   /**
    * Pause charging temporarily
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Confirmed current ({ chargingCurrent, verified })
    */
   async pauseCharging() {
     try {
       this.logger.info('Pausing charging...');
 
-      // Set current to 0 to pause without releasing
-      await this.client.writeRegister('CHARGING_CURRENT_EM', 0);
+      // 0 means "no limitation", a current below 6A stops charging without releasing.
+      // The load guard keeps this setpoint until charging is resumed.
+      this.paused = true;
+      await this.client.writeRegister('CHARGING_CURRENT_EM', this.loadGuard.limitCurrent(this.requestedCurrent));
 
       this.logger.info('Charging paused');
+
+      return { chargingCurrent: 0, verified: this.client.verifiesWrites('CHARGING_CURRENT_EM') };
     } catch (error) {
       this.logger.error(`Error pausing charging: ${error.message}`);
       throw error;
@@ -443,15 +604,17 @@ export class AmtronController {
   /**
    * Resume charging after pause
    * @param {number} current - Charging current to resume with (default: 6A)
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Requested and confirmed current (see setChargingCurrent)
    */
   async resumeCharging(current = 6) {
     try {
       this.logger.info(`Resuming charging with ${current}A...`);
 
-      await this.setChargingCurrent(current);
+      const result = await this.setChargingCurrent(current);
 
       this.logger.info('Charging resumed');
+
+      return result;
     } catch (error) {
       this.logger.error(`Error resuming charging: ${error.message}`);
       throw error;
@@ -461,17 +624,19 @@ export class AmtronController {
   /**
    * Set requested phases for dynamic phase switching
    * @param {number} phases - 0 for all phases, 1 for single phase
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Confirmed phases ({ requestedPhases, verified })
    */
   async setRequestedPhases(phases) {
     try {
       if (phases !== 0 && phases !== 1) {
-        throw new Error('Phases must be 0 (all phases) or 1 (single phase)');
+        throw modbusError('EVALIDATION', 'Phases must be 0 (all phases) or 1 (single phase)');
       }
 
       this.logger.info(`Setting requested phases to ${phases === 0 ? 'all' : 'single'}...`);
-      await this.client.writeRegister('REQUESTED_PHASES', phases);
+      const confirmed = await this.client.writeRegister('REQUESTED_PHASES', phases);
       this.logger.info('Requested phases set successfully');
+
+      return { requestedPhases: confirmed, verified: this.client.verifiesWrites('REQUESTED_PHASES') };
     } catch (error) {
       this.logger.error(`Error setting requested phases: ${error.message}`);
       throw error;
@@ -481,23 +646,220 @@ export class AmtronController {
   /**
    * Lock/unlock EVSE
    * @param {boolean} lock - true to lock, false to unlock
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Confirmed lock state ({ locked, verified })
    */
   async setLock(lock) {
     try {
       this.logger.info(`${lock ? 'Locking' : 'Unlocking'} EVSE...`);
-      await this.client.writeRegister('LOCK_EVSE', lock ? 1 : 0);
+      const confirmed = await this.client.writeRegister('LOCK_EVSE', lock ? 1 : 0);
       this.logger.info(`EVSE ${lock ? 'locked' : 'unlocked'} successfully`);
+
+      return { locked: confirmed === 1, verified: this.client.verifiesWrites('LOCK_EVSE') };
     } catch (error) {
       this.logger.error(`Error setting lock: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Get the current control register values
+   * @returns {Promise<Object>} Control state
+   */
+  async getControlState() {
+    try {
+      const control = await this.client.readMultipleRegisters([
+        'CHARGING_CURRENT_EM',
+        'REQUESTED_PHASES',
+        'CHARGING_RELEASE_EM',
+        'LOCK_EVSE'
+      ]);
+
+      return {
+        chargingCurrent: control.CHARGING_CURRENT_EM,
+        requestedPhases: control.REQUESTED_PHASES,
+        chargingReleased: control.CHARGING_RELEASE_EM === 1,
+        locked: control.LOCK_EVSE === 1
+      };
+    } catch (error) {
+      this.logger.error(`Error getting control state: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // PV SURPLUS METHODS
+  // ==========================================
+
+  /**
+   * Enable PV surplus charging. The charging current then follows the pushed grid export power.
+   * @param {Object} [tuning] - Tuning parameters to apply (see SURPLUS_DEFAULTS)
+   * @returns {Promise<Object>} Surplus state
+   */
+  async enableSurplusMode(tuning = {}) {
+    try {
+      return await this.surplus.enable(tuning);
+    } catch (error) {
+      this.logger.error(`Error enabling surplus mode: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable PV surplus charging
+   * @param {boolean} [pause] - Pause charging when leaving surplus mode (default: false)
+   * @returns {Promise<Object>} Surplus state
+   */
+  async disableSurplusMode(pause = false) {
+    try {
+      return await this.surplus.disable(pause);
+    } catch (error) {
+      this.logger.error(`Error disabling surplus mode: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Push the current grid export power into the surplus controller
+   * @param {number} exportPower - Power exported to the grid in W (negative when importing)
+   * @returns {Promise<Object>} Surplus state
+   */
+  async pushGridPower(exportPower) {
+    try {
+      return await this.surplus.pushGridPower(exportPower);
+    } catch (error) {
+      this.logger.error(`Error processing grid power: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the surplus controller state
+   * @returns {Object} Surplus state
+   */
+  getSurplusState() {
+    return this.surplus.getState();
+  }
+
+  /**
+   * Update surplus controller tuning
+   * @param {Object} tuning - Tuning parameters (see SURPLUS_DEFAULTS)
+   * @returns {Object} Effective tuning
+   */
+  setSurplusTuning(tuning) {
+    return this.surplus.setTuning(tuning);
+  }
+
+  // ==========================================
+  // LOAD GUARD METHODS
+  // ==========================================
+
+  /**
+   * Enable the load guard. The charging current is then kept within the main fuse headroom.
+   * @param {Object} [settings] - Settings to apply (see LOAD_GUARD_DEFAULTS)
+   * @returns {Promise<Object>} Load guard state
+   */
+  async enableLoadGuard(settings = {}) {
+    try {
+      return await this.loadGuard.enable(settings);
+    } catch (error) {
+      this.logger.error(`Error enabling load guard: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable the load guard
+   * @param {boolean} [restore] - Restore the requested (unlimited) charging current (default: true)
+   * @returns {Promise<Object>} Load guard state
+   */
+  async disableLoadGuard(restore = true) {
+    try {
+      return await this.loadGuard.disable(restore);
+    } catch (error) {
+      this.logger.error(`Error disabling load guard: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Push household current readings per grid phase into the load guard
+   * @param {Object} readings - Currents in A ({ l1, l2, l3 })
+   * @returns {Promise<Object>} Load guard state
+   */
+  async pushHouseholdCurrent(readings) {
+    try {
+      return await this.loadGuard.pushHouseholdCurrent(readings);
+    } catch (error) {
+      this.logger.error(`Error processing household current: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the load guard state
+   * @returns {Object} Load guard state
+   */
+  getLoadGuardState() {
+    return this.loadGuard.getState();
+  }
+
+  /**
+   * Update load guard settings
+   * @param {Object} settings - Settings (see LOAD_GUARD_DEFAULTS)
+   * @returns {Promise<Object>} Effective settings
+   */
+  async setLoadGuardSettings(settings) {
+    try {
+      return await this.loadGuard.updateSettings(settings);
+    } catch (error) {
+      this.logger.error(`Error updating load guard settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // CHARGING MONITOR METHODS
+  // ==========================================
+
+  /**
+   * Get the recent charging events (EV plugged in, charging started/stopped, errors, downgrade, fallback)
+   * @param {Object} [filter] - Filter options
+   * @param {number} [filter.limit] - Maximum number of events, newest first (default: 50)
+   * @param {string|Array<string>} [filter.type] - Only events of these types (see MONITOR_EVENTS)
+   * @param {number} [filter.after] - Only events with a higher ID
+   * @returns {Object} Monitor state and events
+   */
+  getChargingEvents(filter = {}) {
+    const types = filter.type === undefined || filter.type === null ? [] : [].concat(filter.type);
+    const unknown = types.find(type => !MONITOR_EVENTS.includes(type));
+
+    if (unknown !== undefined) {
+      throw modbusError('EVALIDATION', `Unknown event type "${unknown}", use any of ${MONITOR_EVENTS.join(', ')}`);
+    }
+
+    return {
+      monitoring: this.monitor.isRunning(),
+      state: this.monitor.getState(),
+      events: this.monitor.getEvents({
+        limit: filter.limit,
+        type: types.length > 0 ? types : null,
+        after: filter.after
+      })
+    };
+  }
+
   // ==========================================
   // DIAGNOSTIC METHODS
   // ==========================================
 
+  /**
+   * Get the error code catalogue
+   * @returns {Array<Object>} Entries with code, description, severity and action
+   */
+  getErrorCodes() {
+    return this.errorCatalogue.list();
+  }
+
   /**
    * Get diagnostic information
    * @returns {Promise<Object>} Diagnostic data
@@ -513,6 +875,7 @@ export class AmtronController {
 
       return {
         activeErrorCode: diag.ACTIVE_ERROR_CODE,
+        activeError: diag.ACTIVE_ERROR_CODE ? this.errorCatalogue.describe(diag.ACTIVE_ERROR_CODE) : null,
         hasError: diag.ACTIVE_ERROR_CODE !== 0,
         masterLostFallback: diag.MASTER_LOST_FALLBACK_STATE === 1,
         switchedPhases: diag.SWITCHED_PHASES,
@@ -559,6 +922,355 @@ export class AmtronController {
     }
   }
 
+  // ==========================================
+  // MAINTENANCE METHODS
+  // ==========================================
+
+  /**
+   * Restart the charger with SYSTEM_RESTART. Only allowed while the charger is idle (no EV connected).
+   * The EM registers (charging current, release, requested phases) are at their power-on values afterwards.
+   * @param {Object} [options] - Restart options
+   * @param {number} [options.timeout] - Maximum time to wait for the charger in seconds (default: 120)
+   * @returns {Promise<Object>} Reboot time and state after the restart
+   */
+  async restartCharger({ timeout = 120 } = {}) {
+    try {
+      if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout < 10 || timeout > 600) {
+        throw modbusError('EVALIDATION', 'Timeout must be between 10 and 600 seconds');
+      }
+      if (this.client.restarting) {
+        throw new Error('A restart is already in progress');
+      }
+
+      this.client.requireSupported('SYSTEM_RESTART');
+
+      const state = await this.client.readMultipleRegisters(['EVSE_STATE']);
+
+      if (state.EVSE_STATE === null) {
+        throw new Error('Restart refused: the EVSE state could not be read');
+      }
+      if (state.EVSE_STATE !== 1) {
+        throw new Error(`Restart refused: the charger is in state "${this.getEvseStateText(state.EVSE_STATE)}", restarting is only allowed while idle`);
+      }
+
+      this.logger.info('Restarting charger...');
+      const rebootTime = await this.client.restartDevice({ timeout: timeout * 1000 });
+      const status = await this.getStatus();
+
+      this.logger.info(`Charger restarted in ${(rebootTime / 1000).toFixed(1)}s`);
+
+      return {
+        rebootTime: Math.round(rebootTime / 100) / 10,
+        evseState: status.evseState,
+        evseStateText: status.evseStateText
+      };
+    } catch (error) {
+      this.logger.error(`Error restarting charger: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // REGISTER ACCESS METHODS
+  // ==========================================
+
+  /**
+   * List the register catalogue
+   * @returns {Array<Object>} Register metadata
+   */
+  listRegisters() {
+    return Object.entries(REGISTERS).map(([key, register]) => ({
+      register: key,
+      name: register.name,
+      address: this.formatAddress(register.address),
+      length: register.length,
+      type: register.type,
+      access: register.access,
+      unit: register.unit || null,
+      values: register.values || null,
+      range: register.range || null,
+      description: register.description,
+      version: register.version,
+      supported: this.client.supportsRegister(key)
+    }));
+  }
+
+  /**
+   * Read a register by name
+   * @param {string} name - Register name from REGISTERS
+   * @returns {Promise<Object>} Decoded value with enum text, unit and raw words
+   */
+  async readRegister(name) {
+    try {
+      const register = this.requireRegister(name, 'R');
+      this.client.requireSupported(name);
+      const buffer = await this.client.readBlock(register.address, register.length, `register ${name}`);
+      return this.decodeRegister(name, buffer);
+    } catch (error) {
+      this.logger.error(`Error reading register ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Read registers by name. Adjacent registers are read together.
+   * @param {Array<string>} names - Register names from REGISTERS
+   * @returns {Promise<Object>} Decoded values by register name (value null and an error for registers that could not be read)
+   */
+  async readRegisters(names) {
+    try {
+      for (const name of names) {
+        this.requireRegister(name, 'R');
+      }
+
+      const buffers = await this.client.readRegisterBuffers(names);
+      return Object.fromEntries(names.map(name => [name, this.decodeRegister(name, buffers[name])]));
+    } catch (error) {
+      this.logger.error(`Error reading registers: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a register by name after checking it against the catalogue (access, type, allowed values, range)
+   * @param {string} name - Register name from REGISTERS
+   * @param {number|string} value - Value, or the text of an enumeration value
+   * @returns {Promise<Object>} Written value (the read-back value if writes are verified) decoded like readRegister
+   */
+  async writeRegister(name, value) {
+    try {
+      const register = this.requireRegister(name, 'W');
+      const checked = this.validateRegisterValue(name, value);
+
+      this.logger.info(`Writing ${checked} to register ${name}`);
+      const confirmed = await this.client.writeRegister(name, checked);
+
+      const words = this.client.encodeRegisterValue(register, confirmed);
+      const buffer = Buffer.alloc(words.length * 2);
+      words.forEach((word, index) => buffer.writeUInt16BE(word, index * 2));
+      return { ...this.decodeRegister(name, buffer), verified: this.client.verifiesWrites(name) };
+    } catch (error) {
+      this.logger.error(`Error writing register ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a value to be written against the register catalogue
+   * @param {string} name - Register name
+   * @param {number|string} value - Value, or the text of an enumeration value
+   * @returns {number} Value to write
+   */
+  validateRegisterValue(name, value) {
+    const register = REGISTERS[name];
+
+    // The heartbeat is sent by the client, a restart needs the idle check of its own method
+    if (register.writeValue !== undefined) {
+      throw modbusError('EVALIDATION', `Register ${name} is a function register and cannot be written directly`);
+    }
+
+    this.client.requireSupported(name);
+
+    // The load guard limit would be bypassed
+    if (name === 'CHARGING_CURRENT_EM' && this.loadGuard.enabled) {
+      throw modbusError('EVALIDATION', 'Use setChargingCurrent to change the charging current while the load guard is enabled');
+    }
+
+    if (typeof value === 'string' && register.values) {
+      const match = Object.entries(register.values).find(([, text]) => text.toLowerCase() === value.trim().toLowerCase());
+      if (match) {
+        value = Number(match[0]);
+      }
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw modbusError('EVALIDATION', `Value for ${name} must be a number`);
+    }
+
+    if (register.type !== 'float' && !Number.isInteger(value)) {
+      throw modbusError('EVALIDATION', `Value for ${name} must be an integer`);
+    }
+
+    if (register.values && !Object.prototype.hasOwnProperty.call(register.values, value)) {
+      const allowed = Object.entries(register.values).map(([raw, text]) => `${raw} (${text})`).join(', ');
+      throw modbusError('EVALIDATION', `Invalid value ${value} for ${name}, allowed: ${allowed}`);
+    }
+
+    const range = register.range || TYPE_RANGES[register.type];
+    if (range && (value < range[0] || value > range[1])) {
+      throw modbusError('EVALIDATION', `Value for ${name} must be between ${range[0]} and ${range[1]}${register.unit ? ` ${register.unit}` : ''}`);
+    }
+
+    // 0 = disabled, 1 = pause, 6-32 = fallback current
+    if (name === 'FALLBACK_CURRENT_MASTER_LOST' && value > 1 && value < MODBUS_CONFIG.MIN_CHARGING_CURRENT) {
+      throw modbusError('EVALIDATION', `Value for ${name} must be 0 (disabled), 1 (pause) or ${MODBUS_CONFIG.MIN_CHARGING_CURRENT}-${MODBUS_CONFIG.MAX_CHARGING_CURRENT} A`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Get a register definition, failing for unknown names and unsupported access
+   * @param {string} name - Register name
+   * @param {string} access - 'R' or 'W'
+   * @returns {Object} Register definition
+   */
+  requireRegister(name, access) {
+    const register = typeof name === 'string' ? REGISTERS[name] : null;
+
+    if (!register) {
+      throw modbusError('EVALIDATION', `Unknown register: ${name}`);
+    }
+    if (!register.access.includes(access)) {
+      throw modbusError('EVALIDATION', `Register ${name} is not ${access === 'R' ? 'readable' : 'writable'}`);
+    }
+
+    return register;
+  }
+
+  /**
+   * Decode raw register words with the catalogue metadata
+   * @param {string} name - Register name
+   * @param {Buffer|null} buffer - Raw words, or null if the register could not be read
+   * @returns {Object}
+   */
+  decodeRegister(name, buffer) {
+    const register = REGISTERS[name];
+    const value = buffer ? this.client.parseRegisterValue(register, buffer) : null;
+
+    const decoded = {
+      register: name,
+      name: register.name,
+      address: this.formatAddress(register.address),
+      value,
+      text: value !== null && register.values ? register.values[value] ?? null : null,
+      unit: register.unit || null,
+      raw: buffer ? Array.from({ length: buffer.length / 2 }, (_, index) => buffer.readUInt16BE(index * 2)) : null
+    };
+
+    if (!buffer) {
+      decoded.error = this.client.supportsRegister(name)
+        ? 'Register could not be read'
+        : `Not supported by this charger (requires register layout ${this.formatModbusVersion(parseRegisterVersion(register.version))})`;
+    }
+
+    return decoded;
+  }
+
+  // ==========================================
+  // SETTINGS METHODS
+  // ==========================================
+
+  /**
+   * Read all installer settings
+   * @returns {Promise<Object>} Decoded settings by setting name
+   */
+  async getSettings() {
+    try {
+      const values = await this.readRegisters(Object.values(SETTINGS));
+      return Object.fromEntries(Object.entries(SETTINGS).map(([setting, name]) => [setting, values[name]]));
+    } catch (error) {
+      this.logger.error(`Error getting settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update some installer settings. All values are validated before the first write,
+   * only settings that differ from the device are written and every write is read back.
+   * @param {Object} changes - New values by setting name (values or enumeration texts)
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.dryRun] - Only report what would change (default: false)
+   * @returns {Promise<Object>} Changed and unchanged settings, with the read-back value of each write
+   */
+  async updateSettings(changes, { dryRun = false } = {}) {
+    try {
+      const entries = Object.entries(changes || {});
+
+      if (entries.length === 0) {
+        throw modbusError('EVALIDATION', `No settings given, use any of ${Object.keys(SETTINGS).join(', ')}`);
+      }
+
+      const wanted = entries.map(([setting, value]) => {
+        const name = SETTINGS[setting];
+        if (!name) {
+          throw modbusError('EVALIDATION', `Unknown setting "${setting}", use one of ${Object.keys(SETTINGS).join(', ')}`);
+        }
+        return { setting, name, value: this.validateRegisterValue(name, value) };
+      });
+
+      const current = await this.readRegisters(wanted.map(({ name }) => name));
+      const unreadable = wanted.find(({ name }) => current[name].value === null);
+      if (unreadable) {
+        throw new Error(`Could not read current value of ${unreadable.setting}`);
+      }
+
+      const changed = [];
+      const unchanged = [];
+
+      for (const { setting, name, value } of wanted) {
+        const before = current[name];
+        if (before.value === value) {
+          unchanged.push({ setting, register: name, value, text: before.text });
+          continue;
+        }
+        changed.push({
+          setting,
+          register: name,
+          from: before.value,
+          fromText: before.text,
+          to: value,
+          toText: REGISTERS[name].values?.[value] ?? null
+        });
+      }
+
+      if (dryRun) {
+        return { dryRun: true, complete: true, changed, unchanged };
+      }
+
+      for (const change of changed) {
+        try {
+          this.logger.info(`Changing setting ${change.setting} from ${change.from} to ${change.to}`);
+          const written = await this.client.writeRegister(change.register, change.to);
+
+          // Settings are always read back, by the client if it verifies writes
+          const readBack = this.client.verifiesWrites(change.register)
+            ? written
+            : (await this.readRegister(change.register)).value;
+          change.confirmed = readBack === change.to;
+          change.value = readBack;
+          if (!change.confirmed) {
+            change.error = `Device reports ${readBack} after writing ${change.to}`;
+            this.logger.warn(`Setting ${change.setting} not applied: ${change.error}`);
+          }
+        } catch (error) {
+          change.confirmed = false;
+          change.value = error.code === 'EVERIFY' ? error.actual : null;
+          change.error = error.message;
+        }
+      }
+
+      return {
+        dryRun: false,
+        complete: changed.every(change => change.confirmed),
+        changed,
+        unchanged
+      };
+    } catch (error) {
+      this.logger.error(`Error updating settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a register address as hex
+   * @param {number} address - Register address
+   * @returns {string} e.g. '0x0D03'
+   */
+  formatAddress(address) {
+    return `0x${address.toString(16).padStart(4, '0').toUpperCase()}`;
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
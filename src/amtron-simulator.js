@@ -0,0 +1,792 @@
+/**
+ * Amtron Simulator
+ * In-process simulated Mennekes Amtron Compact Modbus slave for development and CI.
+ * Implements the subset of the modbus-serial client API used by ModbusClient.
+ */
+
+import { EventEmitter } from 'events';
+import { REGISTERS, MODBUS_CONFIG, parseRegisterVersion, formatModbusVersion } from './registers.js';
+
+/**
+ * Modbus exception messages, worded like modbus-serial so callers see identical errors
+ */
+const MODBUS_EXCEPTIONS = {
+  1: 'Illegal function (device does not support this read/write function)',
+  2: 'Illegal data address (register not supported by device)',
+  3: 'Illegal data value (value cannot be written to this register)',
+  4: 'Slave device failure (device reports internal error)'
+};
+
+/**
+ * MAXIMAL_EVSE_CURRENT setting index to ampere mapping (22kW variant)
+ */
+const MAXIMAL_EVSE_CURRENT_AMPS = [32, 25, 20, 16, 13, 10, 6];
+
+const SYSTEM_RESTART_VALUE = 0x00BB;
+
+/**
+ * Create an error shaped like a modbus-serial exception response
+ * @param {number} code - Modbus exception code
+ * @returns {Error}
+ */
+function createModbusException(code) {
+  const error = new Error(`Modbus exception ${code}: ${MODBUS_EXCEPTIONS[code] || 'Unknown error'}`);
+  error.modbusCode = code;
+  return error;
+}
+
+/**
+ * Create an error shaped like a modbus-serial transaction timeout
+ * @returns {Error}
+ */
+function createTimeoutError() {
+  const error = new Error('Timed out');
+  error.name = 'TransactionTimedOutError';
+  error.errno = 'ETIMEDOUT';
+  return error;
+}
+
+export class AmtronSimulator extends EventEmitter {
+  /**
+   * @param {Object} config - Simulator configuration
+   * @param {number} config.slaveId - Slave ID the simulated device answers to (default: 1)
+   * @param {number} config.modbusVersion - Reported register layout version (default: 0x103)
+   * @param {string} config.firmwareVersion - Reported firmware version
+   * @param {string} config.serialNumber - Reported serial number
+   * @param {number} config.maxCurrentHouse - DIP switch installation current in A (default: 32)
+   * @param {number} config.maxCurrentEvse - Installed EVSE current in A (default: 32)
+   * @param {number} config.fallbackCurrent - Master lost fallback (0 = disabled, 1 = pause, 6-32 = A) (default: 1)
+   * @param {number} config.voltage - Nominal phase voltage in V (default: 230)
+   * @param {number} config.latency - Simulated response time per request in ms (default: 10)
+   * @param {number} config.tickInterval - State machine update interval in ms (default: 1000)
+   * @param {number} config.heartbeatTimeout - Time without heartbeat before master lost in ms (default: 10000)
+   * @param {number} config.restartDuration - Time the device is unresponsive after SYSTEM_RESTART in ms (default: 15000)
+   * @param {boolean} config.evConnected - Start with an EV plugged in (default: false)
+   * @param {number} config.evPhases - Number of phases the simulated EV charges on (default: 3)
+   * @param {number} config.evMaxCurrent - Maximum current the simulated EV accepts in A (default: 32)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config = {}, logger) {
+    super();
+
+    this.config = {
+      slaveId: config.slaveId || 1,
+      modbusVersion: config.modbusVersion || 0x103,
+      firmwareVersion: config.firmwareVersion || 'SIM-2.0.0',
+      serialNumber: config.serialNumber || 'SIM000000001',
+      maxCurrentHouse: config.maxCurrentHouse || 32,
+      maxCurrentEvse: config.maxCurrentEvse || 32,
+      fallbackCurrent: config.fallbackCurrent ?? 1,
+      voltage: config.voltage || 230,
+      latency: config.latency ?? 10,
+      tickInterval: config.tickInterval || 1000,
+      heartbeatTimeout: config.heartbeatTimeout || MODBUS_CONFIG.HEARTBEAT_INTERVAL,
+      restartDuration: config.restartDuration || 15000,
+      evConnected: config.evConnected || false,
+      evPhases: config.evPhases || 3,
+      evMaxCurrent: config.evMaxCurrent || 32
+    };
+
+    this.logger = logger;
+    this.portOpen = false;
+    this.unitId = 1;
+    this.timeout = 1000;
+    this.tickTimer = null;
+    this.rebootingUntil = 0;
+
+    this.wordMap = this.buildWordMap();
+    this.values = this.createInitialValues();
+
+    this.ev = {
+      connected: false,
+      demand: true,
+      phases: this.config.evPhases,
+      maxCurrent: this.config.evMaxCurrent
+    };
+    this.errorCode = 0;
+    this.masterLost = false;
+    this.lastHeartbeat = Date.now();
+    this.lastUpdate = Date.now();
+    this.sessionStart = null;
+
+    if (this.config.evConnected) {
+      this.connectVehicle();
+    }
+  }
+
+  // ==========================================
+  // MODBUS CLIENT API (modbus-serial subset)
+  // ==========================================
+
+  /**
+   * Whether the simulated port is open
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.portOpen;
+  }
+
+  /**
+   * Open the simulated port and start the state machine
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.portOpen = true;
+    this.lastHeartbeat = Date.now();
+    this.lastUpdate = Date.now();
+
+    if (!this.tickTimer) {
+      this.tickTimer = setInterval(() => this.update(), this.config.tickInterval);
+      this.tickTimer.unref();
+    }
+
+    this.logger.info(`Amtron simulator online (slave ID ${this.config.slaveId}, layout ${formatModbusVersion(this.config.modbusVersion)})`);
+  }
+
+  /**
+   * Close the simulated port and stop the state machine
+   * @param {Function} [callback] - Called once the port is closed (modbus-serial style)
+   * @returns {Promise<void>}
+   */
+  async close(callback) {
+    this.portOpen = false;
+
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+
+    if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * Set the slave ID requests are addressed to
+   * @param {number} id - Slave ID
+   */
+  setID(id) {
+    this.unitId = id;
+  }
+
+  /**
+   * @returns {number} Slave ID requests are addressed to
+   */
+  getID() {
+    return this.unitId;
+  }
+
+  /**
+   * Set the response timeout used when the device does not answer
+   * @param {number} ms - Timeout in milliseconds
+   */
+  setTimeout(ms) {
+    this.timeout = ms;
+  }
+
+  /**
+   * @returns {number} Response timeout in milliseconds
+   */
+  getTimeout() {
+    return this.timeout;
+  }
+
+  /**
+   * FC03 Read Holding Registers
+   * @param {number} address - Start address
+   * @param {number} length - Number of words
+   * @returns {Promise<{data: Array<number>, buffer: Buffer}>}
+   */
+  async readHoldingRegisters(address, length) {
+    await this.beginTransaction();
+    this.update();
+
+    const data = [];
+    const encoded = {};
+
+    for (let addr = address; addr < address + length; addr++) {
+      const entry = this.wordMap.get(addr);
+
+      if (!entry || !entry.register.access.includes('R')) {
+        throw createModbusException(2);
+      }
+
+      if (!encoded[entry.name]) {
+        encoded[entry.name] = this.encodeWords(entry.register, this.values[entry.name]);
+      }
+      data.push(encoded[entry.name][entry.offset]);
+    }
+
+    const buffer = Buffer.alloc(data.length * 2);
+    data.forEach((word, index) => buffer.writeUInt16BE(word, index * 2));
+
+    return { data, buffer };
+  }
+
+  /**
+   * FC06 Write Single Register
+   * @param {number} address - Register address
+   * @param {number} value - 16-bit word
+   * @returns {Promise<{address: number, value: number}>}
+   */
+  async writeRegister(address, value) {
+    await this.writeRegisters(address, [value]);
+    return { address, value };
+  }
+
+  /**
+   * FC16 Write Multiple Registers
+   * @param {number} address - Start address
+   * @param {Array<number>} values - 16-bit words
+   * @returns {Promise<{address: number, length: number}>}
+   */
+  async writeRegisters(address, values) {
+    await this.beginTransaction();
+    this.update();
+
+    // Decode and validate all registers before applying any of them
+    const writes = [];
+    let offset = 0;
+
+    while (offset < values.length) {
+      const entry = this.wordMap.get(address + offset);
+
+      if (!entry || entry.offset !== 0 || !entry.register.access.includes('W')) {
+        throw createModbusException(2);
+      }
+
+      const words = values.slice(offset, offset + entry.register.length);
+      if (words.length !== entry.register.length) {
+        throw createModbusException(2);
+      }
+
+      const value = this.decodeWords(entry.register, words);
+      if (!this.isValidValue(entry.name, entry.register, value)) {
+        throw createModbusException(3);
+      }
+
+      writes.push({ name: entry.name, value });
+      offset += entry.register.length;
+    }
+
+    for (const { name, value } of writes) {
+      this.applyWrite(name, value);
+    }
+
+    this.update();
+    return { address, length: values.length };
+  }
+
+  /**
+   * Common request preamble: port state, addressing, reboot and bus latency
+   * @returns {Promise<void>}
+   */
+  async beginTransaction() {
+    if (!this.portOpen) {
+      const error = new Error('Port Not Open');
+      error.name = 'PortNotOpenError';
+      error.errno = 'ECONNREFUSED';
+      throw error;
+    }
+
+    // A device that is not addressed or still booting never answers
+    if (this.unitId !== this.config.slaveId || Date.now() < this.rebootingUntil) {
+      await this.delay(this.timeout);
+      throw createTimeoutError();
+    }
+
+    if (this.config.latency > 0) {
+      await this.delay(this.config.latency);
+    }
+  }
+
+  // ==========================================
+  // SIMULATION CONTROL
+  // ==========================================
+
+  /**
+   * Plug in an EV and start a new session
+   * @param {Object} [options] - EV properties
+   * @param {number} [options.phases] - Number of phases the EV charges on
+   * @param {number} [options.maxCurrent] - Maximum current the EV accepts in A
+   */
+  connectVehicle(options = {}) {
+    this.update();
+
+    this.ev.connected = true;
+    this.ev.demand = true;
+    this.ev.phases = options.phases || this.ev.phases;
+    this.ev.maxCurrent = options.maxCurrent || this.ev.maxCurrent;
+    this.sessionStart = Date.now();
+
+    this.values.CHARGED_ENERGY_SESSION = 0;
+    this.values.DURATION_SESSION = 0;
+    this.values.DETECTED_EV_PHASES = 0;
+    this.values.CHARGING_SESSIONS_TOTAL += 1;
+
+    this.logger.info('Simulator: EV connected');
+    this.update();
+  }
+
+  /**
+   * Unplug the EV, ending the session
+   */
+  disconnectVehicle() {
+    this.update();
+
+    this.ev.connected = false;
+    this.sessionStart = null;
+
+    this.logger.info('Simulator: EV disconnected');
+    this.update();
+  }
+
+  /**
+   * Set whether the connected EV requests energy (C state) or stays in B state
+   * @param {boolean} demand - true if the EV wants to charge
+   */
+  setVehicleDemand(demand) {
+    this.update();
+    this.ev.demand = demand;
+    this.update();
+  }
+
+  /**
+   * Raise an active error code
+   * @param {number} code - Error code (non-zero)
+   */
+  raiseError(code) {
+    this.update();
+    this.errorCode = code;
+    this.logger.info(`Simulator: error ${code} raised`);
+    this.update();
+  }
+
+  /**
+   * Clear the active error code
+   */
+  clearError() {
+    this.update();
+    this.errorCode = 0;
+    this.logger.info('Simulator: error cleared');
+    this.update();
+  }
+
+  /**
+   * Get a snapshot of the simulated device
+   * @returns {Object} Register values and EV state
+   */
+  getState() {
+    this.update();
+    return {
+      ev: { ...this.ev },
+      masterLost: this.masterLost,
+      rebooting: Date.now() < this.rebootingUntil,
+      registers: { ...this.values }
+    };
+  }
+
+  // ==========================================
+  // STATE MACHINE
+  // ==========================================
+
+  /**
+   * Advance the simulation to the current time.
+   * Integrates energy with the previous state, then re-evaluates heartbeat supervision,
+   * the EVSE/CP state machine and the derived measurements.
+   */
+  update() {
+    const now = Date.now();
+    const dt = Math.max(0, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+
+    if (now < this.rebootingUntil) {
+      return;
+    }
+
+    const v = this.values;
+    const previousState = v.EVSE_STATE;
+
+    // Energy accumulates from the power drawn since the last update
+    if (v.POWER_OVERALL > 0 && dt > 0) {
+      const energy = (v.POWER_OVERALL * dt) / 3600000;
+      v.CHARGED_ENERGY_SESSION += energy;
+      v.CHARGED_ENERGY_TOTAL += energy;
+    }
+
+    // Heartbeat supervision (only when a fallback behaviour is configured)
+    const fallback = v.FALLBACK_CURRENT_MASTER_LOST;
+    const heartbeatExpired = now - this.lastHeartbeat > this.config.heartbeatTimeout;
+    const masterLost = fallback !== 0 && heartbeatExpired;
+
+    if (masterLost !== this.masterLost) {
+      this.masterLost = masterLost;
+      this.logger.info(`Simulator: master lost fallback ${masterLost ? 'activated' : 'cleared'}`);
+      this.emit('masterLost', masterLost);
+    }
+    v.MASTER_LOST_FALLBACK_STATE = masterLost ? 1 : 0;
+
+    // Available current from all sources that can restrict it
+    const limit = Math.min(v.MAX_CURRENT_EVSE, v.MAX_CURRENT_HOUSE, this.ev.maxCurrent);
+    let available;
+
+    if (!this.ev.connected || this.errorCode !== 0 || v.LOCK_EVSE === 1) {
+      available = 0;
+    } else if (masterLost) {
+      // Energy manager commands are void while the master is lost
+      available = fallback === 1 ? 0 : Math.min(limit, fallback);
+    } else if (v.CHARGING_RELEASE_EM !== 1) {
+      available = 0;
+    } else if (v.CHARGING_CURRENT_EM === 0) {
+      available = limit;
+    } else {
+      available = v.CHARGING_CURRENT_EM < MODBUS_CONFIG.MIN_CHARGING_CURRENT ? 0 : Math.min(limit, v.CHARGING_CURRENT_EM);
+    }
+
+    const signaled = available >= MODBUS_CONFIG.MIN_CHARGING_CURRENT ? available : 0;
+    v.SIGNALED_CURRENT = signaled;
+
+    // EVSE / CP state machine: A1 -> B1 -> B2 -> C2
+    if (this.errorCode !== 0) {
+      v.EVSE_STATE = 6;
+      v.CP_STATE = 14;
+    } else if (!this.ev.connected) {
+      v.EVSE_STATE = 1;
+      v.CP_STATE = 10;
+    } else if (signaled === 0) {
+      v.EVSE_STATE = 2;
+      v.CP_STATE = 11;
+    } else if (this.ev.demand) {
+      v.EVSE_STATE = 5;
+      v.CP_STATE = 28;
+    } else {
+      v.EVSE_STATE = 4;
+      v.CP_STATE = 27;
+    }
+
+    v.ACTIVE_ERROR_CODE = this.errorCode;
+    v.AUTHORIZATION_STATUS = !this.ev.connected ? 0 : (v.CHARGING_RELEASE_EM === 1 || masterLost ? 1 : 2);
+    v.DOWNGRADE = this.ev.connected ? 1 : 0;
+    v.CABLE_LOCK_STATUS = this.ev.connected ? 2 : 1;
+    v.SWITCHED_PHASES = v.REQUESTED_PHASES;
+
+    // Measurements
+    const threePhaseGrid = v.CONNECTED_PHASES === 2;
+    const phaseCount = !threePhaseGrid || v.REQUESTED_PHASES === 1 ? 1 : Math.min(this.ev.phases, 3);
+    const charging = v.EVSE_STATE === 5;
+    let total = 0;
+
+    for (let phase = 1; phase <= 3; phase++) {
+      const energised = phase === 1 || threePhaseGrid;
+      const current = charging && phase <= phaseCount ? signaled : 0;
+      const voltage = energised ? this.config.voltage : 0;
+      const power = voltage * current;
+
+      v[`CURRENT_L${phase}`] = current;
+      v[`VOLTAGE_L${phase}`] = voltage;
+      v[`POWER_L${phase}`] = power;
+      total += power;
+    }
+    v.POWER_OVERALL = total;
+
+    // Session
+    if (this.ev.connected) {
+      v.DURATION_SESSION = Math.floor((now - this.sessionStart) / 1000);
+      v.MAX_CURRENT_SESSION = limit;
+      if (charging) {
+        v.DETECTED_EV_PHASES = Math.max(v.DETECTED_EV_PHASES, phaseCount);
+      }
+    } else {
+      v.CHARGED_ENERGY_SESSION = 0;
+      v.DURATION_SESSION = 0;
+      v.MAX_CURRENT_SESSION = 0;
+      v.DETECTED_EV_PHASES = 0;
+    }
+
+    // Temperature rises slightly with load
+    v.TEMPERATURE = 25 + (total / 22000) * 15;
+
+    if (v.EVSE_STATE !== previousState) {
+      this.logger.debug(`Simulator: EVSE state ${previousState} -> ${v.EVSE_STATE}`);
+      this.emit('stateChanged', { from: previousState, to: v.EVSE_STATE });
+    }
+  }
+
+  /**
+   * Apply a validated register write, including side effects and mirrored registers
+   * @param {string} name - Register name
+   * @param {any} value - Decoded value
+   */
+  applyWrite(name, value) {
+    const v = this.values;
+
+    switch (name) {
+      case 'HEARTBEAT_EM':
+        this.lastHeartbeat = Date.now();
+        return;
+
+      case 'SYSTEM_RESTART':
+        this.restart();
+        return;
+
+      case 'MAXIMAL_EVSE_CURRENT':
+        v.MAXIMAL_EVSE_CURRENT = value;
+        v.MAX_CURRENT_EVSE = MAXIMAL_EVSE_CURRENT_AMPS[value];
+        return;
+
+      case 'PHASE_ROTATION_SETTING':
+        v.PHASE_ROTATION_SETTING = value;
+        v.PHASE_ROTATION = value;
+        return;
+
+      case 'CONNECTED_PHASES':
+        v.CONNECTED_PHASES = value;
+        v.GRID_PHASES_CONNECTED = value;
+        return;
+
+      case 'FALLBACK_CURRENT_MASTER_LOST':
+        v.FALLBACK_CURRENT_MASTER_LOST = value;
+        v.MASTER_LOST_FALLBACK_CURRENT = value;
+        return;
+
+      case 'PHASE_SWITCHING_PAUSE_SETTING':
+        v.PHASE_SWITCHING_PAUSE_SETTING = value;
+        v.PHASE_SWITCHING_PAUSE = value;
+        return;
+
+      default:
+        v[name] = value;
+    }
+  }
+
+  /**
+   * Simulate a reboot: unresponsive for restartDuration, then volatile EM registers are reset
+   */
+  restart() {
+    this.logger.info(`Simulator: system restart, offline for ${this.config.restartDuration}ms`);
+    this.rebootingUntil = Date.now() + this.config.restartDuration;
+
+    const v = this.values;
+    v.CHARGING_CURRENT_EM = 0;
+    v.CHARGING_RELEASE_EM = 0;
+    v.REQUESTED_PHASES = 0;
+    v.SOLAR_CHARGING_MODE = 1;
+    this.lastHeartbeat = this.rebootingUntil;
+    this.emit('restart');
+  }
+
+  /**
+   * Validate a decoded value against the register metadata and device rules
+   * @param {string} name - Register name
+   * @param {Object} register - Register definition
+   * @param {any} value - Decoded value
+   * @returns {boolean}
+   */
+  isValidValue(name, register, value) {
+    if (typeof value === 'number' && Number.isNaN(value)) {
+      return false;
+    }
+
+    if (name === 'HEARTBEAT_EM') {
+      return value === MODBUS_CONFIG.HEARTBEAT_VALUE;
+    }
+
+    if (name === 'SYSTEM_RESTART') {
+      return value === SYSTEM_RESTART_VALUE;
+    }
+
+    if (name === 'FALLBACK_CURRENT_MASTER_LOST' && value > 1 && value < MODBUS_CONFIG.MIN_CHARGING_CURRENT) {
+      return false;
+    }
+
+    if (register.values && !(value in register.values)) {
+      return false;
+    }
+
+    if (register.range && (value < register.range[0] || value > register.range[1])) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // ==========================================
+  // REGISTER IMAGE
+  // ==========================================
+
+  /**
+   * Map every word address to the register (and word offset) it belongs to.
+   * Registers newer than the simulated MODBUS_VERSION are left out.
+   * @returns {Map<number, {name: string, register: Object, offset: number}>}
+   */
+  buildWordMap() {
+    const map = new Map();
+
+    for (const [name, register] of Object.entries(REGISTERS)) {
+      if (parseRegisterVersion(register.version) > this.config.modbusVersion) {
+        continue;
+      }
+
+      for (let offset = 0; offset < register.length; offset++) {
+        map.set(register.address + offset, { name, register, offset });
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Power-on register values
+   * @returns {Object} Register values by name
+   */
+  createInitialValues() {
+    const c = this.config;
+    const evseCurrentIndex = MAXIMAL_EVSE_CURRENT_AMPS.indexOf(c.maxCurrentEvse);
+
+    return {
+      MODBUS_VERSION: c.modbusVersion,
+      FIRMWARE_VERSION: c.firmwareVersion,
+      SERIAL_NUMBER: c.serialNumber,
+
+      EVSE_STATE: 1,
+      AUTHORIZATION_STATUS: 0,
+      DOWNGRADE: 0,
+      PHASE_ROTATION: 0,
+      CP_STATE: 10,
+      SIGNALED_CURRENT: 0,
+
+      DOWNGRADE_CURRENT: 0,
+      CHARGING_CURRENT_EM: 0,
+      MAX_CURRENT_HOUSE: c.maxCurrentHouse,
+      MAX_CURRENT_EVSE: c.maxCurrentEvse,
+      PHASE_SWITCHING_MODE: 2,
+      PHASE_OPTIONS_HW: 2,
+      CABLE_LOCK_CONFIG: 0,
+      MASTER_LOST_FALLBACK_CURRENT: c.fallbackCurrent,
+      GRID_IMBALANCE: 0,
+      GRID_IMBALANCE_THRESHOLD: 16,
+      GRID_PHASES_CONNECTED: 2,
+      AUTHORIZATION: 0,
+      SOLAR_SUPPORTED_CHARGING_CURRENT: 6,
+      PHASE_SWITCHING_PAUSE: 120,
+
+      CURRENT_L1: 0,
+      CURRENT_L2: 0,
+      CURRENT_L3: 0,
+      VOLTAGE_L1: c.voltage,
+      VOLTAGE_L2: c.voltage,
+      VOLTAGE_L3: c.voltage,
+      POWER_L1: 0,
+      POWER_L2: 0,
+      POWER_L3: 0,
+      POWER_OVERALL: 0,
+
+      MAXIMAL_EVSE_CURRENT: evseCurrentIndex === -1 ? 0 : evseCurrentIndex,
+      PHASE_ROTATION_SETTING: 0,
+      CONNECTED_PHASES: 2,
+      PHASE_USAGE_SOLAR_CHARGING: 3,
+      FALLBACK_CURRENT_MASTER_LOST: c.fallbackCurrent,
+      SOLAR_CHARGING_ACTIVE: 0,
+      PHASE_SWITCHING_PAUSE_SETTING: 120,
+
+      TEMPERATURE: 25,
+
+      MAX_CURRENT_SESSION: 0,
+      CHARGED_ENERGY_SESSION: 0,
+      DURATION_SESSION: 0,
+      DETECTED_EV_PHASES: 0,
+
+      HEARTBEAT_EM: 0,
+      CABLE_LOCK_STATUS: 1,
+      SOLAR_CHARGING_MODE: 1,
+      REQUESTED_PHASES: 0,
+      CHARGING_RELEASE_EM: 0,
+      LOCK_EVSE: 0,
+      SYSTEM_RESTART: 0,
+
+      ACTIVE_ERROR_CODE: 0,
+      MASTER_LOST_FALLBACK_STATE: 0,
+      SWITCHED_PHASES: 0,
+
+      CHARGED_ENERGY_TOTAL: 0,
+      CHARGING_SESSIONS_TOTAL: 0
+    };
+  }
+
+  /**
+   * Encode a register value into 16-bit words (HighWord/LowWord, ABCD byte order)
+   * @param {Object} register - Register definition
+   * @param {any} value - Value to encode
+   * @returns {Array<number>}
+   */
+  encodeWords(register, value) {
+    const buffer = Buffer.alloc(register.length * 2);
+
+    switch (register.type) {
+      case 'uint16':
+        buffer.writeUInt16BE(value & 0xFFFF, 0);
+        break;
+      case 'int16':
+        buffer.writeInt16BE(value, 0);
+        break;
+      case 'uint32':
+        buffer.writeUInt32BE(value >>> 0, 0);
+        break;
+      case 'int32':
+        buffer.writeInt32BE(value, 0);
+        break;
+      case 'float':
+        buffer.writeFloatBE(value, 0);
+        break;
+      case 'ascii':
+        // Right-aligned, padded with leading underscores like the device does
+        buffer.write(String(value).slice(0, buffer.length).padStart(buffer.length, '_'), 'ascii');
+        break;
+      default:
+        throw new Error(`Unknown register type: ${register.type}`);
+    }
+
+    const words = [];
+    for (let i = 0; i < register.length; i++) {
+      words.push(buffer.readUInt16BE(i * 2));
+    }
+    return words;
+  }
+
+  /**
+   * Decode 16-bit words written by the master into a register value
+   * @param {Object} register - Register definition
+   * @param {Array<number>} words - Written words
+   * @returns {any}
+   */
+  decodeWords(register, words) {
+    const buffer = Buffer.alloc(words.length * 2);
+    words.forEach((word, index) => buffer.writeUInt16BE(word & 0xFFFF, index * 2));
+
+    switch (register.type) {
+      case 'uint16':
+        return buffer.readUInt16BE(0);
+      case 'int16':
+        return buffer.readInt16BE(0);
+      case 'uint32':
+        return buffer.readUInt32BE(0);
+      case 'int32':
+        return buffer.readInt32BE(0);
+      case 'float':
+        return buffer.readFloatBE(0);
+      default:
+        throw createModbusException(2);
+    }
+  }
+
+  /**
+   * Utility delay function
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default AmtronSimulator;
@@ -0,0 +1,78 @@
+/**
+ * API Key Management
+ * Command line tool to create, list and revoke API keys
+ *
+ * Usage:
+ *   npm run api-key -- add <id> <monitor|operator> [name]
+ *   npm run api-key -- list
+ *   npm run api-key -- revoke <id>
+ */
+
+import dotenv from 'dotenv';
+import { ApiKeyStore, ROLES } from './api-keys.js';
+
+dotenv.config();
+
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: (message) => console.warn(message),
+  error: (message) => console.error(message)
+};
+
+const usage = `Usage:
+  npm run api-key -- add <id> <${ROLES.join('|')}> [name]
+  npm run api-key -- list
+  npm run api-key -- revoke <id>
+
+Keys are stored in API_KEYS_FILE (default: config/api-keys.json).`;
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const store = new ApiKeyStore({ file: process.env.API_KEYS_FILE }, logger);
+  await store.load();
+
+  switch (command) {
+    case 'add': {
+      const [id, role, ...name] = args;
+      const { key, token } = await store.create({ id, role, name: name.join(' ') || null });
+      console.log(`Created ${key.role} key "${key.id}" in ${store.config.file}`);
+      console.log('');
+      console.log(`  ${token}`);
+      console.log('');
+      console.log('Store this token now, it cannot be shown again.');
+      console.log('Send it as "Authorization: Bearer <token>" or "X-API-Key: <token>".');
+      break;
+    }
+
+    case 'list': {
+      const keys = store.list();
+      if (keys.length === 0) {
+        console.log(`No API keys in ${store.config.file}`);
+        break;
+      }
+      for (const key of keys) {
+        console.log(`${key.id.padEnd(24)} ${key.role.padEnd(10)} ${key.createdAt}  ${key.name || ''}`);
+      }
+      break;
+    }
+
+    case 'revoke': {
+      const [id] = args;
+      if (!await store.revoke(id)) {
+        throw new Error(`API key ${id} does not exist`);
+      }
+      console.log(`Revoked API key "${id}"`);
+      break;
+    }
+
+    default:
+      console.log(usage);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,176 @@
+/**
+ * API Key Store
+ * File-backed API keys with roles. Only a salted hash of each secret is stored.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { JsonFileStore } from './json-file-store.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Roles in order of privilege: each role may call everything the roles before it may call
+ * - monitor: read-only access (status, measurements, history, event stream, metrics)
+ * - operator: full control
+ */
+export const ROLES = ['monitor', 'operator'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check whether a role grants the required role
+ * @param {string} role - Role of the caller
+ * @param {string} required - Role required by the method
+ * @returns {boolean}
+ */
+export function roleAllows(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Hash a key secret.
+ * Secrets are 256-bit random values generated by the store, so a salted SHA-256 is
+ * enough and keeps verification cheap on every request.
+ * @param {string} secret - Secret part of the token
+ * @param {string} salt - Hex salt
+ * @returns {string} - 'sha256:<salt>:<hash>'
+ */
+export function hashSecret(secret, salt) {
+  const hash = createHash('sha256').update(`${salt}:${secret}`).digest('hex');
+  return `sha256:${salt}:${hash}`;
+}
+
+export class ApiKeyStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {string} config.file - Path of the JSON file (default: 'config/api-keys.json')
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      file: config.file || 'config/api-keys.json'
+    };
+
+    this.logger = logger;
+    this.keys = [];
+    // Hashes only, but there is no reason for other users to read them
+    this.storage = new JsonFileStore(this.config.file, 'API keys', logger, { mode: 0o600 });
+  }
+
+  /**
+   * Load keys from disk (a missing file is an empty store)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const content = await this.storage.read();
+    this.keys = Array.isArray(content?.keys) ? content.keys : [];
+
+    for (const key of this.keys) {
+      if (!ID_PATTERN.test(key.id || '') || !ROLES.includes(key.role) || !/^sha256:[0-9a-f]+:[0-9a-f]{64}$/.test(key.hash || '')) {
+        throw new Error(`Invalid API key entry "${key.id}" in ${this.config.file}`);
+      }
+    }
+  }
+
+  /**
+   * Persist the store
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.storage.write({
+      version: STORE_VERSION,
+      keys: this.keys
+    });
+  }
+
+  /**
+   * List keys without their hashes
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.keys.map(({ hash, ...key }) => key);
+  }
+
+  /**
+   * Create a key. The token is returned once and cannot be recovered from the store.
+   * @param {Object} params - Key parameters
+   * @param {string} params.id - Unique key ID (letters, digits, '-' and '_')
+   * @param {string} params.role - 'monitor' or 'operator'
+   * @param {string} [params.name] - Description
+   * @returns {Promise<{key: Object, token: string}>}
+   */
+  async create({ id, role, name = null }) {
+    if (!ID_PATTERN.test(id || '')) {
+      throw new Error('Key ID must be 1-64 letters, digits, "-" or "_"');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+    if (this.keys.some(key => key.id === id)) {
+      throw new Error(`API key ${id} already exists`);
+    }
+
+    const secret = randomBytes(32).toString('base64url');
+    const key = {
+      id,
+      name,
+      role,
+      hash: hashSecret(secret, randomBytes(16).toString('hex')),
+      createdAt: new Date().toISOString()
+    };
+
+    this.keys.push(key);
+    await this.save();
+
+    const { hash, ...stored } = key;
+    return { key: stored, token: `${id}.${secret}` };
+  }
+
+  /**
+   * Delete a key by ID
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} - true if the key existed
+   */
+  async revoke(id) {
+    const index = this.keys.findIndex(key => key.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.keys.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Look up the key of a token ('<id>.<secret>')
+   * @param {string|null} token - Token presented by the client
+   * @returns {Object|null} - Key without hash, or null if the token is unknown or wrong
+   */
+  authenticate(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const separator = token.indexOf('.');
+    const key = separator > 0 ? this.keys.find(entry => entry.id === token.slice(0, separator)) : null;
+
+    if (!key) {
+      return null;
+    }
+
+    const salt = key.hash.split(':')[1];
+    const expected = Buffer.from(key.hash);
+    const actual = Buffer.from(hashSecret(token.slice(separator + 1), salt));
+
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const { hash, ...authenticated } = key;
+    return authenticated;
+  }
+}
+
+export default ApiKeyStore;
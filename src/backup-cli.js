@@ -0,0 +1,197 @@
+/**
+ * Configuration Backup CLI
+ * Exports and restores the charger configuration through a running RPC server
+ *
+ * Usage:
+ *   npm run backup -- export [file]
+ *   npm run backup -- import <file> [--yes]
+ *
+ * Options:
+ *   --url <url>      RPC server URL (default: http://localhost:RPC_PORT, https if RPC_TLS_CERT is set)
+ *   --charger <id>   Charger to export from or import to (default: the first configured charger)
+ *   --yes            Apply an import without asking for confirmation
+ *
+ * The API key is taken from AMTRON_API_KEY when the server requires authentication.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import readline from 'readline/promises';
+
+dotenv.config();
+
+const usage = `Usage:
+  npm run backup -- export [file] [--charger <id>] [--url <url>]
+  npm run backup -- import <file> [--charger <id>] [--yes] [--url <url>]`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string, file: string|null, url: string, charger: string|undefined, yes: boolean}}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const defaultHost = process.env.RPC_HOST && process.env.RPC_HOST !== '0.0.0.0' ? process.env.RPC_HOST : 'localhost';
+  const options = {
+    url: `${process.env.RPC_TLS_CERT ? 'https' : 'http'}://${defaultHost}:${process.env.RPC_PORT || 8080}`,
+    charger: undefined,
+    yes: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      options.url = argv[++i];
+    } else if (argv[i] === '--charger') {
+      options.charger = argv[++i];
+    } else if (argv[i] === '--yes' || argv[i] === '-y') {
+      options.yes = true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  return { command: positional[0], file: positional[1] || null, ...options };
+}
+
+/**
+ * Call a JSON-RPC method
+ * @param {string} url - Server URL
+ * @param {string} method - Method name
+ * @param {Object} params - Parameters
+ * @returns {Promise<any>} Method data
+ */
+async function call(url, method, params = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (process.env.AMTRON_API_KEY) {
+    headers.authorization = `Bearer ${process.env.AMTRON_API_KEY}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!body) {
+    throw new Error(`${url} answered with HTTP ${response.status}`);
+  }
+  if (body.error) {
+    throw new Error(`${body.error.message} (code ${body.error.code})`);
+  }
+  return body.result.data;
+}
+
+/**
+ * Describe a device identity
+ * @param {Object} device - Identity from the backup or target
+ * @returns {string}
+ */
+function describeDevice(device) {
+  return `${device.serialNumber} (firmware ${device.firmwareVersion}, register layout ${device.modbusVersion})`;
+}
+
+/**
+ * Describe a value with its enumeration text
+ * @param {number} value - Value
+ * @param {string|null} text - Enumeration text
+ * @returns {string}
+ */
+function describeValue(value, text) {
+  return text ? `${value} (${text})` : `${value}`;
+}
+
+/**
+ * Print the diff of an import
+ * @param {Object} result - importConfig result
+ */
+function printDiff(result) {
+  console.log(`Backup of ${describeDevice(result.source)}`);
+  console.log(`Target    ${describeDevice(result.target)}${result.sameDevice ? '' : ' - a different charger'}`);
+  console.log('');
+
+  if (result.changed.length === 0) {
+    console.log('No changes: the target already has the configuration of the backup.');
+  } else {
+    console.log('Changes:');
+    for (const change of result.changed) {
+      console.log(`  ${change.setting}: ${describeValue(change.from, change.fromText)} -> ${describeValue(change.to, change.toText)}`);
+    }
+  }
+
+  if (result.unchanged.length > 0) {
+    console.log(`Unchanged: ${result.unchanged.map(entry => entry.setting).join(', ')}`);
+  }
+
+  const skipped = result.skipped.filter(entry => entry.reason !== 'Read-only');
+  for (const entry of skipped) {
+    console.log(`Skipped ${entry.register}: ${entry.reason}`);
+  }
+  console.log(`${result.skipped.length - skipped.length} read-only registers in the backup are not restored.`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  switch (args.command) {
+    case 'export': {
+      const backup = await call(args.url, 'exportConfig', { chargerId: args.charger });
+      const content = JSON.stringify(backup, null, 2) + '\n';
+
+      if (args.file) {
+        await fs.writeFile(args.file, content);
+        console.log(`Saved ${Object.keys(backup.registers).length} registers of ${describeDevice(backup.device)} to ${args.file}`);
+      } else {
+        process.stdout.write(content);
+      }
+      break;
+    }
+
+    case 'import': {
+      if (!args.file) {
+        throw new Error('Import needs a backup file');
+      }
+
+      const backup = JSON.parse(await fs.readFile(args.file, 'utf8'));
+      const preview = await call(args.url, 'importConfig', { chargerId: args.charger, backup, dryRun: true });
+      printDiff(preview);
+
+      if (preview.changed.length === 0) {
+        break;
+      }
+
+      if (!args.yes) {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const answer = await rl.question(`\nApply ${preview.changed.length} changes? [y/N] `);
+        rl.close();
+        if (answer.trim().toLowerCase() !== 'y') {
+          console.log('Import cancelled');
+          break;
+        }
+      }
+
+      const result = await call(args.url, 'importConfig', { chargerId: args.charger, backup });
+      console.log('');
+      for (const change of result.changed) {
+        console.log(change.confirmed
+          ? `Applied ${change.setting} = ${describeValue(change.value, change.toText)}`
+          : `Failed  ${change.setting}: ${change.error}`);
+      }
+
+      if (!result.complete) {
+        throw new Error('Not all changes were confirmed by the charger');
+      }
+      console.log('Import complete');
+      break;
+    }
+
+    default:
+      console.log(usage);
+      process.exitCode = args.command ? 1 : 0;
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,40 @@
+/**
+ * Charger State
+ * Interpretation of EVSE_STATE and CP_STATE shared by the charging monitor and the session recorder
+ */
+
+/**
+ * CP states without a vehicle (A1, A2) and with a vehicle (B, C, D)
+ */
+const CP_NO_VEHICLE = [10, 26];
+const CP_VEHICLE = [11, 12, 13, 27, 28, 29];
+
+/**
+ * EVSE states without a vehicle (Idle) and with a vehicle (B1 .. C2)
+ */
+const EVSE_NO_VEHICLE = [1];
+const EVSE_VEHICLE = [2, 3, 4, 5];
+
+export const EVSE_CHARGING = 5;
+export const CP_CHARGING = 28;
+
+/**
+ * Derive vehicle presence from CP_STATE, falling back to EVSE_STATE
+ * @param {Object} snapshot - Register values (CP_STATE, EVSE_STATE)
+ * @returns {boolean|null} - null if presence cannot be determined
+ */
+export function isVehicleConnected(snapshot) {
+  if (CP_VEHICLE.includes(snapshot.CP_STATE)) {
+    return true;
+  }
+  if (CP_NO_VEHICLE.includes(snapshot.CP_STATE)) {
+    return false;
+  }
+  if (EVSE_VEHICLE.includes(snapshot.EVSE_STATE)) {
+    return true;
+  }
+  if (EVSE_NO_VEHICLE.includes(snapshot.EVSE_STATE)) {
+    return false;
+  }
+  return null;
+}
@@ -0,0 +1,269 @@
+/**
+ * Charging Monitor
+ * Polls the status registers and turns their transitions into typed events (EV plugged in, charging started, error raised, ...).
+ * Every event is emitted by its type and as 'event'; every snapshot is emitted as 'state'.
+ * The session and error recorders follow the snapshots, so the states are polled only once.
+ */
+
+import { EventEmitter } from 'events';
+import { EVSE_CHARGING, CP_CHARGING, isVehicleConnected } from './charger-state.js';
+
+/**
+ * Event types in the order they are emitted for one poll
+ */
+export const MONITOR_EVENTS = [
+  'evConnected',
+  'errorCleared',
+  'errorRaised',
+  'downgradeChanged',
+  'fallbackActivated',
+  'temperatureHigh',
+  'chargingStarted',
+  'chargingStopped',
+  'evDisconnected'
+];
+
+/**
+ * Drop below the temperature limit (°C) before another temperatureHigh event is raised
+ */
+const TEMPERATURE_HYSTERESIS = 5;
+
+const SNAPSHOT_REGISTERS = [
+  'EVSE_STATE',
+  'CP_STATE',
+  'DOWNGRADE',
+  'SIGNALED_CURRENT',
+  'POWER_OVERALL',
+  'ACTIVE_ERROR_CODE',
+  'MASTER_LOST_FALLBACK_STATE',
+  'TEMPERATURE'
+];
+
+export class ChargingMonitor extends EventEmitter {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Object} config - Monitor configuration
+   * @param {number} config.pollInterval - Status poll interval in ms (default: 2000)
+   * @param {number} config.historySize - Number of events kept for getEvents (default: 200)
+   * @param {number} config.temperatureLimit - Temperature in °C that raises temperatureHigh (default: 60)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, config, logger) {
+    super();
+
+    this.controller = controller;
+    this.config = {
+      pollInterval: config?.pollInterval || 2000,
+      historySize: config?.historySize || 200,
+      temperatureLimit: config?.temperatureLimit || 60
+    };
+    this.logger = logger;
+
+    this.state = null;
+    this.temperatureHigh = false;
+    this.events = [];
+    this.sequence = 0;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling. The first poll only records the current state, it does not raise events.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.config.pollInterval);
+    this.logger.info(`Charging monitor started (poll every ${this.config.pollInterval}ms)`);
+    await this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Charging monitor stopped');
+    }
+  }
+
+  /**
+   * Whether the monitor is polling
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Read a status snapshot and emit the events for its changes
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling || !this.controller.client.isConnected) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      const values = await this.controller.client.readMultipleRegisters(SNAPSHOT_REGISTERS);
+
+      // No answer: compare the next complete snapshot with the last known state
+      if (values.EVSE_STATE === null) {
+        return;
+      }
+
+      const before = this.state;
+      const after = this.createSnapshot(values, before);
+      this.state = after;
+
+      if (before) {
+        for (const { type, message } of this.detect(before, after)) {
+          this.record(type, message, before, after);
+        }
+      }
+      this.emit('state', after);
+    } catch (error) {
+      this.logger.error(`Charging monitor poll failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Build a snapshot from register values
+   * @param {Object} values - Register values
+   * @param {Object|null} previous - Previous snapshot, for values that cannot be determined
+   * @returns {Object} Snapshot
+   */
+  createSnapshot(values, previous) {
+    const vehicleConnected = isVehicleConnected(values);
+
+    return {
+      timestamp: new Date().toISOString(),
+      evseState: values.EVSE_STATE,
+      evseStateText: this.controller.getEvseStateText(values.EVSE_STATE),
+      cpState: values.CP_STATE,
+      cpStateText: values.CP_STATE !== null ? this.controller.getCpStateText(values.CP_STATE) : null,
+      // Error, init and service states say nothing about the vehicle: keep the last known presence
+      vehicleConnected: vehicleConnected ?? previous?.vehicleConnected ?? false,
+      charging: values.EVSE_STATE === EVSE_CHARGING || values.CP_STATE === CP_CHARGING,
+      errorCode: values.ACTIVE_ERROR_CODE,
+      downgrade: values.DOWNGRADE,
+      downgradeText: values.DOWNGRADE !== null ? this.controller.getDowngradeText(values.DOWNGRADE) : null,
+      fallbackActive: values.MASTER_LOST_FALLBACK_STATE !== null ? values.MASTER_LOST_FALLBACK_STATE === 1 : null,
+      signaledCurrent: values.SIGNALED_CURRENT,
+      power: values.POWER_OVERALL,
+      temperature: values.TEMPERATURE !== null ? Math.round(values.TEMPERATURE * 10) / 10 : null
+    };
+  }
+
+  /**
+   * Compare two snapshots. Values that could not be read (null) never raise an event.
+   * @param {Object} before - Previous snapshot
+   * @param {Object} after - New snapshot
+   * @returns {Array<{type: string, message: string}>} Events in MONITOR_EVENTS order
+   */
+  detect(before, after) {
+    const known = (key) => before[key] !== null && after[key] !== null;
+    const events = [];
+
+    if (!before.vehicleConnected && after.vehicleConnected) {
+      events.push({ type: 'evConnected', message: 'EV connected' });
+    }
+    if (known('errorCode') && before.errorCode !== after.errorCode) {
+      if (before.errorCode !== 0) {
+        events.push({ type: 'errorCleared', message: `Error ${before.errorCode} cleared` });
+      }
+      if (after.errorCode !== 0) {
+        const entry = this.controller.errorCatalogue.describe(after.errorCode);
+        events.push({ type: 'errorRaised', message: `Error ${after.errorCode} raised${entry.known ? `: ${entry.description}` : ''}` });
+      }
+    }
+    if (known('downgrade') && before.downgrade !== after.downgrade) {
+      events.push({ type: 'downgradeChanged', message: `Downgrade: ${after.downgradeText}` });
+    }
+    if (known('fallbackActive') && !before.fallbackActive && after.fallbackActive) {
+      events.push({ type: 'fallbackActivated', message: 'Master lost fallback activated, the energy manager is unavailable' });
+    }
+    if (after.temperature !== null) {
+      if (!this.temperatureHigh && after.temperature >= this.config.temperatureLimit) {
+        this.temperatureHigh = true;
+        events.push({ type: 'temperatureHigh', message: `Temperature ${after.temperature} °C reached the limit of ${this.config.temperatureLimit} °C` });
+      } else if (this.temperatureHigh && after.temperature < this.config.temperatureLimit - TEMPERATURE_HYSTERESIS) {
+        this.temperatureHigh = false;
+      }
+    }
+    if (!before.charging && after.charging) {
+      events.push({ type: 'chargingStarted', message: 'Charging started' });
+    }
+    if (before.charging && !after.charging) {
+      events.push({ type: 'chargingStopped', message: `Charging stopped (${after.evseStateText})` });
+    }
+    if (before.vehicleConnected && !after.vehicleConnected) {
+      events.push({ type: 'evDisconnected', message: 'EV disconnected' });
+    }
+
+    return events;
+  }
+
+  /**
+   * Add an event to the log and emit it by type and as 'event'
+   * @param {string} type - Event type from MONITOR_EVENTS
+   * @param {string} message - Description
+   * @param {Object} before - Snapshot before the change
+   * @param {Object} after - Snapshot after the change
+   */
+  record(type, message, before, after) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      message,
+      timestamp: after.timestamp,
+      before,
+      after
+    };
+
+    this.events.push(event);
+    if (this.events.length > this.config.historySize) {
+      this.events.shift();
+    }
+
+    this.logger.info(`Charging monitor: ${message}`);
+    this.emit(type, event);
+    this.emit('event', event);
+  }
+
+  /**
+   * Get the recent events, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {number} [filter.limit] - Maximum number of events (default: 50)
+   * @param {string|Array<string>} [filter.type] - Only events of these types
+   * @param {number} [filter.after] - Only events with a higher ID (for incremental fetching)
+   * @returns {Array<Object>} Events
+   */
+  getEvents({ limit = 50, type = null, after = 0 } = {}) {
+    const types = type === null ? null : [].concat(type);
+
+    return this.events
+      .filter(event => event.id > after && (!types || types.includes(event.type)))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Get the last snapshot
+   * @returns {Object|null} Snapshot, or null before the first successful poll
+   */
+  getState() {
+    return this.state;
+  }
+}
+
+export default ChargingMonitor;
@@ -0,0 +1,165 @@
+/**
+ * Configuration Backup
+ * Exports the configuration and settings registers to a versioned JSON document and restores them on a charger
+ */
+
+import { REGISTERS } from './registers.js';
+import { SETTINGS } from './amtron-controller.js';
+import { modbusError } from './modbus-client.js';
+
+export const BACKUP_FORMAT = 'mennekes-amtron-config';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Register blocks that hold the installation: CONFIGURATION (0x0300 - 0x04FF) and SETTINGS (0x0700 - 0x08FF)
+ */
+const BACKUP_BLOCKS = [[0x0300, 0x04FF], [0x0700, 0x08FF]];
+
+/**
+ * Written by the energy manager at runtime, not part of the installation
+ */
+const EXCLUDED_REGISTERS = ['CHARGING_CURRENT_EM'];
+
+export const BACKUP_REGISTERS = Object.entries(REGISTERS)
+  .filter(([name, register]) => register.access.includes('R')
+    && !EXCLUDED_REGISTERS.includes(name)
+    && BACKUP_BLOCKS.some(([start, end]) => register.address >= start && register.address <= end))
+  .map(([name]) => name);
+
+const SETTING_BY_REGISTER = Object.fromEntries(Object.entries(SETTINGS).map(([setting, name]) => [name, setting]));
+
+export class ConfigBackup {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, logger) {
+    this.controller = controller;
+    this.logger = logger;
+  }
+
+  /**
+   * Read the configuration of the connected charger into a backup document
+   * @returns {Promise<Object>} Backup document
+   */
+  async export() {
+    try {
+      const device = await this.readIdentity();
+      const names = BACKUP_REGISTERS.filter(name => this.controller.client.supportsRegister(name));
+      const values = await this.controller.readRegisters(names);
+      const registers = {};
+
+      for (const name of names) {
+        const { value, text, unit, address } = values[name];
+
+        if (value === null) {
+          this.logger.warn(`Config backup: ${name} could not be read and is left out`);
+          continue;
+        }
+
+        registers[name] = { address, value, text, unit, access: REGISTERS[name].access };
+      }
+
+      this.logger.info(`Exported ${Object.keys(registers).length} configuration registers of ${device.serialNumber}`);
+
+      return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        device,
+        registers
+      };
+    } catch (error) {
+      this.logger.error(`Error exporting configuration: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a backup. Only registers that are writable on the connected charger are applied;
+   * the result lists the changes (diff), the registers already matching and the skipped ones.
+   * @param {Object} backup - Backup document from export()
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.dryRun] - Only report the diff (default: false)
+   * @returns {Promise<Object>} Import result
+   */
+  async import(backup, { dryRun = false } = {}) {
+    try {
+      this.validate(backup);
+
+      const target = await this.readIdentity();
+      const changes = {};
+      const skipped = [];
+
+      for (const [name, entry] of Object.entries(backup.registers)) {
+        const register = REGISTERS[name];
+
+        if (!register) {
+          skipped.push({ register: name, reason: 'Unknown register' });
+        } else if (!register.access.includes('W') || !SETTING_BY_REGISTER[name]) {
+          skipped.push({ register: name, reason: 'Read-only' });
+        } else if (!this.controller.client.supportsRegister(name)) {
+          skipped.push({ register: name, reason: `Not supported by register layout ${target.modbusVersion} of the target` });
+        } else {
+          changes[SETTING_BY_REGISTER[name]] = entry.value;
+        }
+      }
+
+      const result = Object.keys(changes).length > 0
+        ? await this.controller.updateSettings(changes, { dryRun })
+        : { dryRun, complete: true, changed: [], unchanged: [] };
+
+      if (!dryRun) {
+        this.logger.info(`Imported configuration of ${backup.device.serialNumber}: ${result.changed.length} changed, ${result.unchanged.length} unchanged, ${skipped.length} skipped`);
+      }
+
+      return {
+        ...result,
+        source: backup.device,
+        target,
+        sameDevice: backup.device.serialNumber === target.serialNumber,
+        skipped
+      };
+    } catch (error) {
+      this.logger.error(`Error importing configuration: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the structure of a backup document
+   * @param {Object} backup - Backup document
+   */
+  validate(backup) {
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+      throw modbusError('EVALIDATION', `Not a configuration backup (expected format "${BACKUP_FORMAT}")`);
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+      throw modbusError('EVALIDATION', `Unsupported backup version ${backup.version} (supported: up to ${BACKUP_VERSION})`);
+    }
+    if (!backup.device || typeof backup.registers !== 'object' || backup.registers === null) {
+      throw modbusError('EVALIDATION', 'Backup has no device or registers section');
+    }
+  }
+
+  /**
+   * Read serial number, firmware and register layout version
+   * @returns {Promise<Object>}
+   */
+  async readIdentity() {
+    const info = await this.controller.client.readMultipleRegisters([
+      'SERIAL_NUMBER',
+      'FIRMWARE_VERSION',
+      'MODBUS_VERSION'
+    ]);
+
+    return {
+      serialNumber: info.SERIAL_NUMBER,
+      firmwareVersion: info.FIRMWARE_VERSION,
+      modbusVersion: info.MODBUS_VERSION !== null ? this.controller.formatModbusVersion(info.MODBUS_VERSION) : null,
+      modbusVersionRaw: info.MODBUS_VERSION
+    };
+  }
+}
+
+export default ConfigBackup;
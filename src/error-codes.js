@@ -0,0 +1,110 @@
+/**
+ * Error Code Catalogue
+ * Description, severity and suggested action for the values of ACTIVE_ERROR_CODE
+ */
+
+import fs from 'fs';
+
+/**
+ * Severities from least to most serious
+ * - info: no action needed
+ * - warning: charging continues, check when convenient
+ * - error: charging is interrupted until the cause is removed
+ * - critical: safety related, keep the charger out of use until it has been inspected
+ */
+export const ERROR_SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+/**
+ * Built-in entries. The Modbus register documentation (v2.0) only defines 0; the meaning of the other
+ * codes depends on the firmware and is listed in the charger manual. Add them with ERROR_CODES_FILE
+ * (config/error-codes.example.json shows the format with placeholder entries).
+ */
+export const ERROR_CODES = {
+  0: {
+    description: 'No error active',
+    severity: 'info',
+    action: null
+  }
+};
+
+/**
+ * Returned for codes that are not in the catalogue
+ */
+const UNKNOWN_ERROR = {
+  severity: 'error',
+  action: 'Check the charger LEDs and the error list in the charger manual, and add the code to ERROR_CODES_FILE'
+};
+
+export class ErrorCatalogue {
+  /**
+   * @param {Object} [entries] - Entries by code, merged over the built-in ones:
+   *   { "<code>": { "description": "...", "severity": "error", "action": "..." } }
+   * @param {string} [source] - Where the entries come from, for error messages
+   */
+  constructor(entries = {}, source = 'error catalogue') {
+    this.entries = { ...ERROR_CODES };
+
+    for (const [key, entry] of Object.entries(entries)) {
+      const code = Number(key);
+
+      if (!Number.isInteger(code) || code < 0 || code > 0xFFFF) {
+        throw new Error(`Error code "${key}" in ${source} must be an integer from 0 to 65535`);
+      }
+      if (!entry || typeof entry.description !== 'string' || entry.description.length === 0) {
+        throw new Error(`Error code ${code} in ${source} needs a description`);
+      }
+      if (entry.severity !== undefined && !ERROR_SEVERITIES.includes(entry.severity)) {
+        throw new Error(`Error code ${code} in ${source}: severity must be one of ${ERROR_SEVERITIES.join(', ')}`);
+      }
+      if (entry.action !== undefined && entry.action !== null && typeof entry.action !== 'string') {
+        throw new Error(`Error code ${code} in ${source}: action must be a string`);
+      }
+
+      this.entries[code] = {
+        description: entry.description,
+        severity: entry.severity || UNKNOWN_ERROR.severity,
+        action: entry.action ?? null
+      };
+    }
+  }
+
+  /**
+   * Read a catalogue file ({ "codes": { ... } } or the code map itself)
+   * @param {string} file - Path of the JSON file
+   * @returns {ErrorCatalogue}
+   */
+  static load(file) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new ErrorCatalogue(content.codes ?? content, file);
+  }
+
+  /**
+   * Decode an error code
+   * @param {number|null} code - Value of ACTIVE_ERROR_CODE
+   * @returns {Object|null} - {code, known, description, severity, action}, or null if the code could not be read
+   */
+  describe(code) {
+    if (code === null || code === undefined) {
+      return null;
+    }
+
+    const entry = this.entries[code];
+    if (!entry) {
+      return { code, known: false, description: `Unknown error code ${code}`, ...UNKNOWN_ERROR };
+    }
+    return { code, known: true, ...entry };
+  }
+
+  /**
+   * List the catalogue, ordered by code
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Object.keys(this.entries)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(code => this.describe(code));
+  }
+}
+
+export default ErrorCatalogue;
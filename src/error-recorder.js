@@ -0,0 +1,259 @@
+/**
+ * Error Recorder
+ * Records every occurrence of an active error code, with its start and clear time and the EVSE and CP state,
+ * from the snapshots of the charging monitor
+ */
+
+import { randomUUID } from 'crypto';
+import { ERROR_SEVERITIES } from './error-codes.js';
+import { matchesFilter } from './error-store.js';
+
+/**
+ * EVSE and CP state of a monitor snapshot
+ * @param {Object} snapshot - Charging monitor snapshot
+ * @returns {Object}
+ */
+function stateOf(snapshot) {
+  return {
+    evseState: snapshot.evseState,
+    evseStateText: snapshot.evseStateText,
+    cpState: snapshot.cpState,
+    cpStateText: snapshot.cpStateText
+  };
+}
+
+export class ErrorRecorder {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance (its charging monitor must be running)
+   * @param {ErrorStore} store - Error store
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, store, logger) {
+    this.controller = controller;
+    this.store = store;
+    this.logger = logger;
+
+    this.active = null;
+    this.seen = false;
+    this.listener = null;
+    this.updating = Promise.resolve();
+  }
+
+  /**
+   * Load the store and follow the monitor snapshots
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.store.load();
+
+    // Continue an error that was active when the server stopped
+    this.active = this.store.getActive();
+    if (this.active) {
+      this.logger.info(`Continuing error ${this.active.code} active since ${this.active.startedAt}`);
+    }
+
+    this.listener = (snapshot) => {
+      this.updating = this.updating
+        .then(() => this.update(snapshot))
+        .catch((error) => {
+          this.logger.error(`Error recorder update failed: ${error.message}`);
+        });
+    };
+    this.controller.monitor.on('state', this.listener);
+
+    const snapshot = this.controller.monitor.getState();
+    if (snapshot) {
+      this.listener(snapshot);
+    }
+
+    this.logger.info('Error recorder started');
+  }
+
+  /**
+   * Stop following the monitor and persist the active error
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.listener) {
+      this.controller.monitor.off('state', this.listener);
+      this.listener = null;
+    }
+
+    await this.updating;
+    if (this.active) {
+      await this.store.setActive(this.active);
+    }
+
+    this.logger.info('Error recorder stopped');
+  }
+
+  /**
+   * Open or close occurrences for a monitor snapshot
+   * @param {Object} snapshot - Charging monitor snapshot
+   * @returns {Promise<void>}
+   */
+  async update(snapshot) {
+    // Error code not read: keep the current state
+    if (snapshot.errorCode === null) {
+      return;
+    }
+
+    // An error that is already active on the first snapshot started before we could see it
+    const resumed = !this.seen;
+    this.seen = true;
+
+    if (this.active && snapshot.errorCode !== this.active.code) {
+      await this.clear(snapshot);
+    }
+    if (snapshot.errorCode !== 0 && !this.active) {
+      await this.raise(snapshot, resumed);
+    }
+  }
+
+  /**
+   * Begin a new occurrence
+   * @param {Object} snapshot - Snapshot with the new error code
+   * @param {boolean} resumed - Whether the error was already active before the first snapshot
+   * @returns {Promise<void>}
+   */
+  async raise(snapshot, resumed) {
+    this.active = {
+      id: randomUUID(),
+      code: snapshot.errorCode,
+      startedAt: snapshot.timestamp,
+      clearedAt: null,
+      duration: 0,
+      state: stateOf(snapshot),
+      clearedState: null,
+      resumed
+    };
+
+    await this.store.setActive(this.active);
+
+    const { description } = this.controller.errorCatalogue.describe(snapshot.errorCode);
+    this.logger.warn(`Error ${snapshot.errorCode} active: ${description}`);
+  }
+
+  /**
+   * Close the active occurrence and store it
+   * @param {Object} snapshot - First snapshot without the error code
+   * @returns {Promise<void>}
+   */
+  async clear(snapshot) {
+    const occurrence = this.active;
+
+    occurrence.clearedAt = snapshot.timestamp;
+    occurrence.duration = Math.round((Date.parse(occurrence.clearedAt) - Date.parse(occurrence.startedAt)) / 1000);
+    occurrence.clearedState = stateOf(snapshot);
+
+    this.active = null;
+    await this.store.add(occurrence);
+
+    this.logger.info(`Error ${occurrence.code} cleared after ${occurrence.duration}s`);
+  }
+
+  /**
+   * Add the catalogue entry to an occurrence
+   * @param {Object} occurrence - Stored occurrence
+   * @returns {Object}
+   */
+  describe(occurrence) {
+    const { description, severity, action } = this.controller.errorCatalogue.describe(occurrence.code);
+    const duration = occurrence.clearedAt
+      ? occurrence.duration
+      : Math.round((Date.now() - Date.parse(occurrence.startedAt)) / 1000);
+
+    return { ...occurrence, duration, description, severity, action };
+  }
+
+  /**
+   * Get the active error
+   * @returns {Object|null}
+   */
+  getActiveError() {
+    return this.active ? this.describe(this.active) : null;
+  }
+
+  /**
+   * Cleared and active occurrences (oldest first) started within a date range
+   * @param {Object} filter - Date range with optional from/to (epoch ms) and code
+   * @returns {Array<Object>}
+   */
+  occurrences(filter = {}) {
+    const matching = this.store.filter(filter);
+    if (this.active && matchesFilter(this.active, filter)) {
+      matching.push(this.active);
+    }
+    return matching;
+  }
+
+  /**
+   * List cleared errors, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {number} [filter.from] - Only errors started at or after this time (epoch ms)
+   * @param {number} [filter.to] - Only errors started at or before this time (epoch ms)
+   * @param {number} [filter.code] - Only errors with this code
+   * @param {number} [filter.limit] - Maximum number of errors returned (default: 100)
+   * @param {number} [filter.offset] - Number of errors skipped (default: 0)
+   * @returns {{total: number, active: Object|null, errors: Array<Object>}}
+   */
+  getHistory(filter = {}) {
+    const matching = this.store.filter(filter).reverse();
+    const offset = filter.offset || 0;
+    const limit = filter.limit || 100;
+
+    return {
+      total: matching.length,
+      active: this.getActiveError(),
+      errors: matching.slice(offset, offset + limit).map(occurrence => this.describe(occurrence))
+    };
+  }
+
+  /**
+   * Count errors and their duration by code and by severity
+   * @param {Object} [filter] - Date range with optional from/to (epoch ms)
+   * @returns {Object} Statistics
+   */
+  getStatistics(filter = {}) {
+    const occurrences = this.occurrences({ from: filter.from, to: filter.to }).map(occurrence => this.describe(occurrence));
+    const bySeverity = Object.fromEntries(ERROR_SEVERITIES.map(severity => [severity, 0]));
+    const byCode = new Map();
+
+    for (const occurrence of occurrences) {
+      bySeverity[occurrence.severity]++;
+
+      if (!byCode.has(occurrence.code)) {
+        byCode.set(occurrence.code, {
+          code: occurrence.code,
+          description: occurrence.description,
+          severity: occurrence.severity,
+          count: 0,
+          totalDuration: 0,
+          longestDuration: 0,
+          firstSeen: occurrence.startedAt,
+          lastSeen: occurrence.startedAt
+        });
+      }
+
+      const entry = byCode.get(occurrence.code);
+      entry.count++;
+      entry.totalDuration += occurrence.duration;
+      entry.longestDuration = Math.max(entry.longestDuration, occurrence.duration);
+      entry.lastSeen = occurrence.startedAt;
+    }
+
+    return {
+      from: filter.from !== undefined ? new Date(filter.from).toISOString() : null,
+      to: filter.to !== undefined ? new Date(filter.to).toISOString() : null,
+      occurrences: occurrences.length,
+      totalDuration: occurrences.reduce((sum, occurrence) => sum + occurrence.duration, 0),
+      active: this.getActiveError(),
+      bySeverity,
+      byCode: [...byCode.values()]
+        .map(entry => ({ ...entry, averageDuration: Math.round(entry.totalDuration / entry.count) }))
+        .sort((a, b) => b.count - a.count || a.code - b.code)
+    };
+  }
+}
+
+export default ErrorRecorder;
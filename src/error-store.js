@@ -0,0 +1,115 @@
+/**
+ * Error Store
+ * File-backed persistence for error occurrences
+ */
+
+import { JsonFileStore } from './json-file-store.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Check whether an occurrence started within a date range and has the given code
+ * @param {Object} occurrence - Error occurrence
+ * @param {Object} filter - Filter options
+ * @param {number} [filter.from] - Start of range (epoch ms)
+ * @param {number} [filter.to] - End of range (epoch ms)
+ * @param {number} [filter.code] - Error code
+ * @returns {boolean}
+ */
+export function matchesFilter(occurrence, { from, to, code } = {}) {
+  const startedAt = Date.parse(occurrence.startedAt);
+  return (from === undefined || startedAt >= from)
+    && (to === undefined || startedAt <= to)
+    && (code === undefined || occurrence.code === code);
+}
+
+export class ErrorStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {string} config.file - Path of the JSON file (default: 'data/errors.json')
+   * @param {number} config.maxErrors - Maximum number of occurrences kept, oldest are dropped (default: 5000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      file: config.file || 'data/errors.json',
+      maxErrors: config.maxErrors || 5000
+    };
+
+    this.logger = logger;
+    this.errors = [];
+    this.active = null;
+    this.storage = new JsonFileStore(this.config.file, 'error store', logger);
+  }
+
+  /**
+   * Load occurrences from disk (a missing file is an empty store)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const content = await this.storage.read();
+    this.active = content?.active || null;
+    this.errors = Array.isArray(content?.errors) ? content.errors : [];
+
+    if (content) {
+      this.logger.info(`Loaded ${this.errors.length} error occurrences from ${this.config.file}`);
+    }
+  }
+
+  /**
+   * Persist the store
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.storage.write({
+      version: STORE_VERSION,
+      active: this.active,
+      errors: this.errors
+    });
+  }
+
+  /**
+   * Get the persisted active occurrence (used to continue it across restarts)
+   * @returns {Object|null}
+   */
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Persist the active occurrence
+   * @param {Object|null} occurrence - Active occurrence, or null when no error is active
+   * @returns {Promise<void>}
+   */
+  async setActive(occurrence) {
+    this.active = occurrence;
+    await this.save();
+  }
+
+  /**
+   * Add a cleared occurrence and clear the active one
+   * @param {Object} occurrence - Cleared occurrence
+   * @returns {Promise<void>}
+   */
+  async add(occurrence) {
+    this.errors.push(occurrence);
+
+    if (this.errors.length > this.config.maxErrors) {
+      this.errors.splice(0, this.errors.length - this.config.maxErrors);
+    }
+
+    this.active = null;
+    await this.save();
+  }
+
+  /**
+   * Cleared occurrences (oldest first) started within a date range, optionally of one code
+   * @param {Object} filter - Filter options, see matchesFilter
+   * @returns {Array<Object>}
+   */
+  filter(filter = {}) {
+    return this.errors.filter(occurrence => matchesFilter(occurrence, filter));
+  }
+}
+
+export default ErrorStore;
@@ -6,11 +6,25 @@
 import dotenv from 'dotenv';
 import winston from 'winston';
 import { ModbusClient } from './modbus-client.js';
+import { ModbusBus } from './modbus-bus.js';
 import { AmtronController } from './amtron-controller.js';
 import { RpcServer } from './rpc-server.js';
+import { SessionStore } from './session-store.js';
+import { SessionRecorder } from './session-recorder.js';
+import { ScheduleStore } from './schedule-store.js';
+import { Scheduler } from './scheduler.js';
+import { TelemetryPoller } from './telemetry-poller.js';
+import { MqttBridge } from './mqtt-bridge.js';
+import { MetricsExporter } from './metrics-exporter.js';
+import { ApiKeyStore } from './api-keys.js';
+import { ConfigBackup } from './config-backup.js';
+import { WebhookDispatcher } from './webhook-dispatcher.js';
+import { ErrorCatalogue } from './error-codes.js';
+import { ErrorStore } from './error-store.js';
+import { ErrorRecorder } from './error-recorder.js';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,22 +35,123 @@ dotenv.config();
 // Configuration
 const config = {
   modbus: {
+    transport: process.env.MODBUS_TRANSPORT || 'rtu',
     port: process.env.MODBUS_PORT || (process.platform === 'win32' ? 'COM3' : '/dev/ttyUSB0'),
     baudRate: parseInt(process.env.MODBUS_BAUDRATE) || 57600,
     dataBits: parseInt(process.env.MODBUS_DATABITS) || 8,
     stopBits: parseInt(process.env.MODBUS_STOPBITS) || 2,
     parity: process.env.MODBUS_PARITY || 'none',
+    host: process.env.MODBUS_HOST || null,
+    tcpPort: parseInt(process.env.MODBUS_TCP_PORT) || 502,
     slaveId: parseInt(process.env.MODBUS_SLAVE_ID) || 1,
     timeout: parseInt(process.env.MODBUS_TIMEOUT) || 1000,
     reconnectInterval: parseInt(process.env.MODBUS_RECONNECT_INTERVAL) || 5000,
-    maxRetries: parseInt(process.env.MODBUS_MAX_RETRIES) || 3
+    maxRetries: parseInt(process.env.MODBUS_MAX_RETRIES) || 3,
+    retryDelay: parseInt(process.env.MODBUS_RETRY_DELAY) || 250,
+    maxReadLength: parseInt(process.env.MODBUS_MAX_READ_LENGTH) || 125,
+    interFrameDelay: process.env.MODBUS_INTER_FRAME_DELAY !== undefined ? parseInt(process.env.MODBUS_INTER_FRAME_DELAY) : 10,
+    requestDeadline: parseInt(process.env.MODBUS_REQUEST_DEADLINE) || 10000,
+    verifyWrites: process.env.MODBUS_VERIFY_WRITES === 'true'
+  },
+  chargers: {
+    file: process.env.CHARGERS_FILE || null // Default: one charger with the MODBUS_* settings
   },
   rpc: {
-    port: parseInt(process.env.RPC_PORT) || 8080
+    port: parseInt(process.env.RPC_PORT) || 8080,
+    host: process.env.RPC_HOST || null, // Default: all interfaces
+    // HTTPS when a certificate and key are configured
+    tls: process.env.RPC_TLS_CERT || process.env.RPC_TLS_KEY ? {
+      cert: process.env.RPC_TLS_CERT,
+      key: process.env.RPC_TLS_KEY,
+      ca: process.env.RPC_TLS_CA || null,
+      clientAuth: process.env.RPC_TLS_CLIENT_AUTH === 'true' // Default: false
+    } : null
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true', // Default: false
+    file: process.env.API_KEYS_FILE || 'config/api-keys.json'
   },
   heartbeat: {
     enabled: process.env.HEARTBEAT_ENABLED !== 'false' // Default: true
   },
+  simulator: {
+    enabled: process.env.SIMULATOR_ENABLED === 'true', // Default: false
+    evConnected: process.env.SIMULATOR_EV_CONNECTED === 'true',
+    modbusVersion: parseInt(process.env.SIMULATOR_MODBUS_VERSION) || 0x103,
+    fallbackCurrent: process.env.SIMULATOR_FALLBACK_CURRENT !== undefined ? parseInt(process.env.SIMULATOR_FALLBACK_CURRENT) : 1,
+    latency: parseInt(process.env.SIMULATOR_LATENCY) || 10
+  },
+  surplus: {
+    enabled: process.env.SURPLUS_ENABLED === 'true', // Default: false
+    tuning: {
+      maxCurrent: parseInt(process.env.SURPLUS_MAX_CURRENT) || 16,
+      reservePower: process.env.SURPLUS_RESERVE_POWER !== undefined ? parseInt(process.env.SURPLUS_RESERVE_POWER) : 100,
+      phaseSwitching: process.env.SURPLUS_PHASE_SWITCHING !== 'false'
+    }
+  },
+  loadGuard: {
+    enabled: process.env.LOAD_GUARD_ENABLED === 'true', // Default: false
+    meterModule: process.env.LOAD_GUARD_METER_MODULE || null,
+    settings: {
+      mainFuse: parseFloat(process.env.LOAD_GUARD_MAIN_FUSE) || 0,
+      safetyMargin: process.env.LOAD_GUARD_SAFETY_MARGIN !== undefined ? parseFloat(process.env.LOAD_GUARD_SAFETY_MARGIN) : 1,
+      includesCharger: process.env.LOAD_GUARD_INCLUDES_CHARGER !== 'false',
+      readingTimeout: parseInt(process.env.LOAD_GUARD_READING_TIMEOUT) || 30,
+      fallbackCurrent: process.env.LOAD_GUARD_FALLBACK_CURRENT !== undefined ? parseFloat(process.env.LOAD_GUARD_FALLBACK_CURRENT) : 6,
+      pollInterval: parseInt(process.env.LOAD_GUARD_POLL_INTERVAL) || 5
+    }
+  },
+  sessions: {
+    enabled: process.env.SESSION_RECORDER_ENABLED !== 'false', // Default: true
+    file: process.env.SESSION_STORE_FILE || 'data/sessions.json',
+    pollInterval: parseInt(process.env.SESSION_POLL_INTERVAL) || 5000
+  },
+  sessionGoal: {
+    pollInterval: parseInt(process.env.SESSION_GOAL_POLL_INTERVAL) || 10000
+  },
+  monitor: {
+    enabled: process.env.MONITOR_ENABLED !== 'false', // Default: true
+    pollInterval: parseInt(process.env.MONITOR_POLL_INTERVAL) || 2000,
+    historySize: parseInt(process.env.MONITOR_HISTORY_SIZE) || 200,
+    temperatureLimit: parseFloat(process.env.MONITOR_TEMPERATURE_LIMIT) || 60
+  },
+  errors: {
+    codesFile: process.env.ERROR_CODES_FILE || null, // Default: built-in catalogue
+    historyEnabled: process.env.ERROR_HISTORY_ENABLED !== 'false', // Default: true
+    historyFile: process.env.ERROR_HISTORY_FILE || 'data/errors.json'
+  },
+  webhooks: {
+    file: process.env.WEBHOOKS_FILE || null, // Default: no webhooks
+    logFile: process.env.WEBHOOK_LOG_FILE || 'data/webhook-deliveries.json',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 2000,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false', // Default: true
+    file: process.env.SCHEDULE_FILE || 'data/schedules.json',
+    checkInterval: parseInt(process.env.SCHEDULER_CHECK_INTERVAL) || 30000
+  },
+  telemetry: {
+    enabled: process.env.TELEMETRY_ENABLED !== 'false', // Default: true
+    statusInterval: parseInt(process.env.TELEMETRY_STATUS_INTERVAL) || 2000,
+    measurementsInterval: parseInt(process.env.TELEMETRY_MEASUREMENTS_INTERVAL) || 2000,
+    sessionInterval: parseInt(process.env.TELEMETRY_SESSION_INTERVAL) || 10000,
+    controlInterval: parseInt(process.env.TELEMETRY_CONTROL_INTERVAL) || 5000
+  },
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false' // Default: true
+  },
+  mqtt: {
+    enabled: process.env.MQTT_ENABLED === 'true', // Default: false
+    url: process.env.MQTT_URL || 'mqtt://localhost:1883',
+    username: process.env.MQTT_USERNAME || null,
+    password: process.env.MQTT_PASSWORD || null,
+    clientId: process.env.MQTT_CLIENT_ID || 'amtron-rpc',
+    baseTopic: process.env.MQTT_BASE_TOPIC || 'amtron',
+    discovery: process.env.MQTT_DISCOVERY !== 'false', // Default: true
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant'
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     file: process.env.LOG_FILE || 'logs/amtron-rpc.log'
@@ -88,9 +203,10 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 // Global instances
-let modbusClient;
-let controller;
+let chargers = [];
 let rpcServer;
+let webhooks = null;
+let errorCatalogue = null;
 
 /**
  * Initialize and start the application
@@ -102,82 +218,414 @@ async function start() {
     logger.info('='.repeat(60));
     logger.info(`Platform: ${process.platform}`);
     logger.info(`Node version: ${process.version}`);
+
+    const chargerConfigs = loadChargerConfigs();
+
     logger.info('Configuration:');
-    logger.info(`  Modbus Port: ${config.modbus.port}`);
-    logger.info(`  Modbus Baud Rate: ${config.modbus.baudRate}`);
-    logger.info(`  Modbus Slave ID: ${config.modbus.slaveId}`);
+    for (const { id, modbus } of chargerConfigs) {
+      const prefix = chargerConfigs.length > 1 ? `  [${id}] ` : '  ';
+      if (config.simulator.enabled) {
+        logger.info(`${prefix}Modbus Port: simulator`);
+      } else if (modbus.transport === 'rtu') {
+        logger.info(`${prefix}Modbus Port: ${modbus.port}`);
+        logger.info(`${prefix}Modbus Baud Rate: ${modbus.baudRate}`);
+      } else {
+        logger.info(`${prefix}Modbus Transport: ${modbus.transport}`);
+        logger.info(`${prefix}Modbus Gateway: ${modbus.host}:${modbus.tcpPort}`);
+      }
+      logger.info(`${prefix}Modbus Slave ID: ${modbus.slaveId}`);
+    }
     logger.info(`  RPC Server Port: ${config.rpc.port}`);
     logger.info(`  Heartbeat Enabled: ${config.heartbeat.enabled}`);
     logger.info('='.repeat(60));
 
-    // Create Modbus client
-    logger.info('Creating Modbus client...');
-    modbusClient = new ModbusClient(config.modbus, logger);
+    // Error code descriptions, shared by all chargers
+    if (config.errors.codesFile) {
+      errorCatalogue = ErrorCatalogue.load(config.errors.codesFile);
+      logger.info(`Loaded error code catalogue from ${config.errors.codesFile}`);
+    } else {
+      errorCatalogue = new ErrorCatalogue();
+    }
 
-    // Setup event listeners
-    modbusClient.on('connected', () => {
-      logger.info('Modbus client connected');
-    });
+    // Chargers on the same serial port (or gateway) share one bus and its queue
+    const buses = new Map();
+    for (const chargerConfig of chargerConfigs) {
+      chargers.push(await startCharger(chargerConfig, buses, chargerConfigs.length > 1));
+    }
 
-    modbusClient.on('disconnected', () => {
-      logger.warn('Modbus client disconnected');
-    });
+    // Start webhook notifications (driven by the charging monitor events)
+    if (config.webhooks.file) {
+      logger.info('Starting webhook dispatcher...');
+      if (!config.monitor.enabled) {
+        logger.warn('Webhooks are configured but the charging monitor is disabled, no events will be sent');
+      }
+      webhooks = new WebhookDispatcher(config.webhooks, logger);
+      await webhooks.start();
+      for (const charger of chargers) {
+        webhooks.watch(charger);
+      }
+    }
 
-    modbusClient.on('connectionLost', () => {
-      logger.error('Modbus connection lost, attempting to reconnect...');
-    });
+    // Load API keys
+    let apiKeys = null;
+    if (config.auth.enabled) {
+      apiKeys = new ApiKeyStore({ file: config.auth.file }, logger);
+      await apiKeys.load();
+      if (apiKeys.list().length === 0) {
+        throw new Error(`Authentication is enabled but ${config.auth.file} has no API keys (create one with: npm run api-key -- add <id> operator)`);
+      }
+      logger.info(`API key authentication enabled (${apiKeys.list().length} keys)`);
+    } else {
+      logger.warn('API key authentication is disabled, anyone who can reach the RPC port can control the charger');
+    }
 
-    modbusClient.on('error', (error) => {
-      logger.error(`Modbus error: ${error.message}`);
+    // Create and start RPC server
+    logger.info('Creating RPC server...');
+    rpcServer = new RpcServer(chargers.map(charger => ({
+      ...charger,
+      telemetry: config.telemetry.enabled ? charger.telemetry : null
+    })), config.rpc, logger, {
+      metrics: config.metrics.enabled ? new MetricsExporter(chargers, logger) : null,
+      apiKeys,
+      webhooks
     });
 
-    // Connect to Modbus device
-    logger.info('Connecting to Modbus device...');
+    logger.info('Starting RPC server...');
+    await rpcServer.start();
+
+    logger.info('='.repeat(60));
+    logger.info(`Mennekes Amtron RPC Server is running (${chargers.length === 1 ? '1 charger' : `${chargers.length} chargers: ${chargers.map(charger => charger.id).join(', ')}`})`);
+    const baseUrl = `${config.rpc.tls ? 'https' : 'http'}://${config.rpc.host || 'localhost'}:${config.rpc.port}`;
+    logger.info(`JSON-RPC endpoint: ${baseUrl}`);
+    if (config.telemetry.enabled) {
+      logger.info(`Event stream: ${baseUrl}/events`);
+    }
+    if (config.metrics.enabled) {
+      logger.info(`Prometheus metrics: ${baseUrl}/metrics`);
+    }
+    logger.info('='.repeat(60));
+
+  } catch (error) {
+    logger.error(`Failed to start application: ${error.message}`);
+    logger.error(error.stack);
+    process.exit(1);
+  }
+}
+
+/**
+ * Read the charger list from CHARGERS_FILE. Each entry has an id, an optional name, optional
+ * surplus/loadGuard flags and Modbus settings that override the MODBUS_* defaults, e.g.
+ * { "id": "garage", "name": "Garage", "port": "/dev/ttyUSB0", "slaveId": 50 }
+ * Without CHARGERS_FILE there is one charger ("default") with the MODBUS_* settings.
+ * @returns {Array<Object>} Charger configurations
+ */
+function loadChargerConfigs() {
+  if (!config.chargers.file) {
+    return [{
+      id: 'default',
+      name: 'Amtron',
+      modbus: config.modbus,
+      surplus: config.surplus.enabled,
+      loadGuard: config.loadGuard.enabled
+    }];
+  }
+
+  const content = JSON.parse(fs.readFileSync(config.chargers.file, 'utf8'));
+  const entries = Array.isArray(content) ? content : content.chargers;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${config.chargers.file} must contain a list of chargers`);
+  }
+
+  const ids = new Set();
+  const addresses = new Set();
+
+  return entries.map((entry) => {
+    const { id, name, surplus, loadGuard, ...modbus } = entry;
+
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(id || '')) {
+      throw new Error(`Charger ID "${id}" in ${config.chargers.file} must be 1-32 letters, digits, "-" or "_"`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Charger ID "${id}" appears twice in ${config.chargers.file}`);
+    }
+    ids.add(id);
+
+    const merged = { ...config.modbus, ...modbus };
+    const address = `${ModbusBus.key(merged)}#${merged.slaveId}`;
+    if (!config.simulator.enabled && addresses.has(address)) {
+      throw new Error(`Charger "${id}" uses the same port and slave ID as another charger`);
+    }
+    addresses.add(address);
+
+    return {
+      id,
+      name: name || id,
+      modbus: merged,
+      surplus: surplus ?? config.surplus.enabled,
+      loadGuard: loadGuard ?? config.loadGuard.enabled
+    };
+  });
+}
+
+/**
+ * Connect one charger and start its subsystems
+ * @param {Object} chargerConfig - Entry from loadChargerConfigs()
+ * @param {Map<string, ModbusBus>} buses - Buses by ModbusBus.key(), shared between chargers
+ * @param {boolean} multiple - Whether more than one charger is configured (store files and MQTT topics get the charger ID)
+ * @returns {Promise<Object>} Charger entry
+ */
+async function startCharger(chargerConfig, buses, multiple) {
+  const { id, name } = chargerConfig;
+  const prefix = multiple ? `[${id}] ` : '';
+  const perCharger = (file) => multiple ? file.replace(/(\.[^./\\]+)?$/, `-${id}$1`) : file;
+  const charger = { id, name };
+
+  // Create Modbus client
+  logger.info(`${prefix}Creating Modbus client...`);
+  const modbusConfig = {
+    ...chargerConfig.modbus,
+    simulator: config.simulator.enabled ? { ...config.simulator, slaveId: chargerConfig.modbus.slaveId } : null
+  };
+  const key = ModbusBus.key(modbusConfig);
+  if (key && !buses.has(key)) {
+    buses.set(key, new ModbusBus(modbusConfig, logger));
+  }
+  const modbusClient = new ModbusClient(modbusConfig, logger, key ? buses.get(key) : null);
+  charger.client = modbusClient;
+
+  // Setup event listeners
+  modbusClient.on('connected', () => {
+    logger.info(`${prefix}Modbus client connected`);
+  });
+
+  modbusClient.on('disconnected', () => {
+    logger.warn(`${prefix}Modbus client disconnected`);
+  });
+
+  modbusClient.on('restarting', () => {
+    logger.warn(`${prefix}Charger is restarting, Modbus requests are suspended`);
+  });
+
+  modbusClient.on('connectionLost', () => {
+    logger.error(`${prefix}Modbus connection lost, attempting to reconnect...`);
+  });
+
+  modbusClient.on('error', (error) => {
+    logger.error(`${prefix}Modbus error: ${error.message}`);
+  });
+
+  // Connect to Modbus device. A charger that does not answer does not stop the server:
+  // it is reported as disconnected and the client keeps reconnecting in the background.
+  logger.info(`${prefix}Connecting to Modbus device...`);
+  try {
     await modbusClient.connect();
 
     // Wait for device to be ready after connection
-    logger.info('Waiting for device initialization...');
+    logger.info(`${prefix}Waiting for device initialization...`);
     await new Promise(resolve => setTimeout(resolve, 2000));
+  } catch (error) {
+    logger.error(`${prefix}Could not connect to the charger, retrying every ${modbusClient.config.reconnectInterval}ms: ${error.message}`);
+  }
 
-    // Start heartbeat if enabled
-    if (config.heartbeat.enabled) {
-      logger.info('Starting heartbeat...');
-      modbusClient.startHeartbeat();
-    }
-
-    // Create controller
-    logger.info('Creating Amtron controller...');
-    controller = new AmtronController(modbusClient, logger);
+  // Start heartbeat if enabled
+  if (config.heartbeat.enabled) {
+    logger.info(`${prefix}Starting heartbeat...`);
+    modbusClient.startHeartbeat();
+  }
 
-    // Get device info
+  // Create controller
+  logger.info(`${prefix}Creating Amtron controller...`);
+  const controller = new AmtronController(modbusClient, logger, {
+    surplus: config.surplus.tuning,
+    loadGuard: config.loadGuard.settings,
+    sessionGoal: config.sessionGoal,
+    monitor: config.monitor,
+    errorCatalogue
+  });
+  charger.controller = controller;
+  charger.configBackup = new ConfigBackup(controller, logger);
+
+  // Read the device info and enable the control loops once the charger answers
+  const initializeDevice = async () => {
     try {
       const deviceInfo = await controller.getDeviceInfo();
-      logger.info('Device Information:');
-      logger.info(`  Modbus Version: ${deviceInfo.modbusVersion}`);
-      logger.info(`  Firmware Version: ${deviceInfo.firmwareVersion}`);
-      logger.info(`  Serial Number: ${deviceInfo.serialNumber}`);
-      logger.info(`  Max Current EVSE: ${deviceInfo.maxCurrentEVSE}A`);
+      logger.info(`${prefix}Device Information:`);
+      logger.info(`${prefix}  Modbus Version: ${deviceInfo.modbusVersion}`);
+      logger.info(`${prefix}  Firmware Version: ${deviceInfo.firmwareVersion}`);
+      logger.info(`${prefix}  Serial Number: ${deviceInfo.serialNumber}`);
+      logger.info(`${prefix}  Max Current EVSE: ${deviceInfo.maxCurrentEVSE}A`);
     } catch (error) {
-      logger.warn(`Could not read device info: ${error.message}`);
+      logger.warn(`${prefix}Could not read device info: ${error.message}`);
     }
 
-    // Create and start RPC server
-    logger.info('Creating RPC server...');
-    rpcServer = new RpcServer(controller, config.rpc, logger);
+    // Enable load guard (before surplus mode, so the first setpoint is already limited)
+    if (chargerConfig.loadGuard) {
+      logger.info(`${prefix}Enabling load guard...`);
+      try {
+        if (config.loadGuard.meterModule) {
+          controller.loadGuard.setMeterSource(await loadMeterSource(config.loadGuard.meterModule));
+        }
+        await controller.enableLoadGuard();
+      } catch (error) {
+        logger.warn(`${prefix}Could not enable load guard: ${error.message}`);
+      }
+    }
 
-    logger.info('Starting RPC server...');
-    await rpcServer.start();
+    // Enable PV surplus mode
+    if (chargerConfig.surplus) {
+      logger.info(`${prefix}Enabling PV surplus mode...`);
+      try {
+        await controller.enableSurplusMode();
+      } catch (error) {
+        logger.warn(`${prefix}Could not enable surplus mode: ${error.message}`);
+      }
+    }
+  };
 
-    logger.info('='.repeat(60));
-    logger.info('Mennekes Amtron RPC Server is running');
-    logger.info(`JSON-RPC endpoint: http://localhost:${config.rpc.port}`);
-    logger.info('='.repeat(60));
+  if (modbusClient.getConnectionStatus()) {
+    await initializeDevice();
+  } else {
+    modbusClient.once('connected', () => {
+      initializeDevice().catch(error => logger.error(`${prefix}Error initializing charger: ${error.message}`));
+    });
+  }
 
-  } catch (error) {
-    logger.error(`Failed to start application: ${error.message}`);
-    logger.error(error.stack);
-    process.exit(1);
+  // Start charging monitor
+  if (config.monitor.enabled) {
+    logger.info(`${prefix}Starting charging monitor...`);
+    await controller.monitor.start();
+  }
+
+  // Start error history (records the error codes seen by the charging monitor)
+  if (config.errors.historyEnabled) {
+    if (config.monitor.enabled) {
+      logger.info(`${prefix}Starting error recorder...`);
+      const errorStore = new ErrorStore({ file: perCharger(config.errors.historyFile) }, logger);
+      charger.errorRecorder = new ErrorRecorder(controller, errorStore, logger);
+      await charger.errorRecorder.start();
+    } else {
+      logger.warn(`${prefix}Error history needs the charging monitor (MONITOR_ENABLED), it is not recorded`);
+    }
   }
+
+  // Start session recorder (follows the states seen by the charging monitor)
+  if (config.sessions.enabled) {
+    if (config.monitor.enabled) {
+      logger.info(`${prefix}Starting session recorder...`);
+      const sessionStore = new SessionStore({ file: perCharger(config.sessions.file) }, logger);
+      charger.sessionRecorder = new SessionRecorder(controller, sessionStore, config.sessions, logger);
+      await charger.sessionRecorder.start();
+    } else {
+      logger.warn(`${prefix}Session history needs the charging monitor (MONITOR_ENABLED), sessions are not recorded`);
+    }
+  }
+
+  // Start scheduler
+  if (config.scheduler.enabled) {
+    logger.info(`${prefix}Starting scheduler...`);
+    const scheduleStore = new ScheduleStore({ file: perCharger(config.scheduler.file) }, logger);
+    charger.scheduler = new Scheduler(controller, scheduleStore, config.scheduler, logger);
+    await charger.scheduler.start();
+  }
+
+  // Shared telemetry poller for the event stream and MQTT (polls only while someone is subscribed)
+  if (config.telemetry.enabled || config.mqtt.enabled) {
+    charger.telemetry = new TelemetryPoller(controller, config.telemetry, logger);
+  }
+
+  // Start MQTT bridge
+  if (config.mqtt.enabled) {
+    logger.info(`${prefix}Starting MQTT bridge...`);
+    charger.mqttBridge = new MqttBridge(controller, charger.telemetry, multiple ? {
+      ...config.mqtt,
+      clientId: `${config.mqtt.clientId}-${id}`,
+      baseTopic: `${config.mqtt.baseTopic}/${id}`
+    } : config.mqtt, logger);
+    await charger.mqttBridge.start();
+  }
+
+  return charger;
+}
+
+/**
+ * Load a meter source module for the load guard.
+ * The module's default export is a factory (logger) => source, where source.read() resolves to { l1, l2, l3 }.
+ * @param {string} modulePath - Path of the module, relative to the working directory
+ * @returns {Promise<Object>} Meter source
+ */
+async function loadMeterSource(modulePath) {
+  const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+
+  if (typeof module.default !== 'function') {
+    throw new Error(`Meter module ${modulePath} must export a factory function as default export`);
+  }
+
+  logger.info(`Loaded meter source from ${modulePath}`);
+  return module.default(logger);
+}
+
+/**
+ * Stop the subsystems of a charger and disconnect it
+ * @param {Object} charger - Charger entry from startCharger()
+ * @returns {Promise<void>}
+ */
+async function stopCharger(charger) {
+  const { controller, client } = charger;
+
+  // Stop MQTT bridge (publishes offline state)
+  if (charger.mqttBridge) {
+    logger.info('Stopping MQTT bridge...');
+    await charger.mqttBridge.stop();
+  }
+
+  // Stop telemetry polling
+  if (charger.telemetry) {
+    charger.telemetry.stop();
+  }
+
+  // Stop scheduler
+  if (charger.scheduler) {
+    charger.scheduler.stop();
+  }
+
+  if (controller) {
+    // Stop surplus control loop
+    if (controller.getSurplusState().enabled) {
+      await controller.disableSurplusMode();
+    }
+
+    // Stop session goal watcher
+    controller.sessionGoal.stopWatching();
+
+    // Stop charging monitor
+    controller.monitor.stop();
+
+    // Stop load guard supervision (keep the limited setpoint on the charger)
+    if (controller.getLoadGuardState().enabled) {
+      await controller.disableLoadGuard(false);
+    }
+  }
+
+  // Stop session recorder (persists the session in progress)
+  if (charger.sessionRecorder) {
+    logger.info('Stopping session recorder...');
+    await charger.sessionRecorder.stop();
+  }
+
+  // Stop error recorder (persists the active error)
+  if (charger.errorRecorder) {
+    logger.info('Stopping error recorder...');
+    await charger.errorRecorder.stop();
+  }
+
+  // Stop heartbeat
+  logger.info('Stopping heartbeat...');
+  client.stopHeartbeat();
+
+  // Disconnect Modbus
+  logger.info('Disconnecting Modbus client...');
+  await client.disconnect();
 }
 
 /**
@@ -193,16 +641,14 @@ async function shutdown(signal) {
       await rpcServer.stop();
     }
 
-    // Stop heartbeat
-    if (modbusClient) {
-      logger.info('Stopping heartbeat...');
-      modbusClient.stopHeartbeat();
+    // Stop webhooks (unsent deliveries are resumed on the next start)
+    if (webhooks) {
+      logger.info('Stopping webhook dispatcher...');
+      await webhooks.stop();
     }
 
-    // Disconnect Modbus
-    if (modbusClient) {
-      logger.info('Disconnecting Modbus client...');
-      await modbusClient.disconnect();
+    for (const charger of chargers) {
+      await stopCharger(charger);
     }
 
     logger.info('Shutdown complete');
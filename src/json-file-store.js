@@ -0,0 +1,73 @@
+/**
+ * JSON File Store
+ * Reads and writes the JSON file behind a store. Writes are serialised and atomic (temp file + rename).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class JsonFileStore {
+  /**
+   * @param {string} file - Path of the JSON file
+   * @param {string} label - Name of the store in log messages (e.g. 'session store')
+   * @param {Object} logger - Winston logger instance
+   * @param {Object} [options] - File options
+   * @param {number} [options.mode] - Permissions of the written file (default: 0o666 minus umask)
+   */
+  constructor(file, label, logger, { mode } = {}) {
+    this.file = file;
+    this.label = label;
+    this.logger = logger;
+    this.mode = mode;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Read and parse the file
+   * @returns {Promise<Object|null>} - File content, or null if the file does not exist
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      this.logger.error(`Error loading ${this.label} ${this.file}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the file after all earlier writes
+   * @param {Object} content - Content to store
+   * @returns {Promise<void>}
+   */
+  write(content) {
+    const json = JSON.stringify(content, null, 2);
+
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tmpFile = `${this.file}.tmp`;
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(tmpFile, json, this.mode !== undefined ? { mode: this.mode } : undefined);
+        await fs.rename(tmpFile, this.file);
+      });
+
+    return this.writeChain.catch((error) => {
+      this.logger.error(`Error saving ${this.label} ${this.file}: ${error.message}`);
+      throw error;
+    });
+  }
+
+  /**
+   * Wait for pending writes (failed writes have already been logged)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeChain.catch(() => {});
+  }
+}
+
+export default JsonFileStore;
@@ -0,0 +1,425 @@
+/**
+ * Load Guard
+ * Keeps the charging current within the headroom left on the house connection (main fuse)
+ */
+
+import { MODBUS_CONFIG } from './registers.js';
+import { modbusError } from './modbus-client.js';
+
+/**
+ * Value for CHARGING_CURRENT_EM that signals 0A.
+ * 0 means "no limitation"; 0.01 - 5.99 is the documented way to stop the current flow.
+ */
+export const BLOCKING_CURRENT = 1;
+
+const PHASES = ['l1', 'l2', 'l3'];
+
+const SNAPSHOT_REGISTERS = [
+  'PHASE_ROTATION',
+  'CURRENT_L1',
+  'CURRENT_L2',
+  'CURRENT_L3',
+  'CHARGING_CURRENT_EM',
+  'SWITCHED_PHASES',
+  'DETECTED_EV_PHASES'
+];
+
+/**
+ * Default settings
+ */
+export const LOAD_GUARD_DEFAULTS = {
+  mainFuse: 0, // Rated current of the main fuse per phase (A), 0 = use MAX_CURRENT_HOUSE from the charger
+  safetyMargin: 1, // Current kept free below the fuse rating (A)
+  includesCharger: true, // Readings are taken at the main connection and include the charger itself
+  readingTimeout: 30, // Readings older than this are ignored (s)
+  fallbackCurrent: MODBUS_CONFIG.MIN_CHARGING_CURRENT, // Limit while no valid readings are available (A)
+  pollInterval: 5 // Meter source poll and supervision interval (s)
+};
+
+export class LoadGuard {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Object} settings - Initial settings, see LOAD_GUARD_DEFAULTS
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, settings, logger) {
+    this.controller = controller;
+    this.logger = logger;
+    this.settings = { ...LOAD_GUARD_DEFAULTS };
+    this.setSettings(settings || {});
+
+    this.meterSource = null;
+    this.enabled = false;
+    this.evaluating = false;
+    this.timer = null;
+    this.resetState();
+  }
+
+  /**
+   * Reset runtime state
+   */
+  resetState() {
+    this.fuseLimit = null;
+    this.readings = null;
+    this.household = null;
+    this.headroom = null;
+    this.chargerPhases = null;
+    this.rotation = null;
+    this.allowed = null;
+    this.written = null;
+    this.lastWrite = 0;
+    this.reason = 'Load guard disabled';
+  }
+
+  /**
+   * Update settings
+   * @param {Object} settings - Subset of LOAD_GUARD_DEFAULTS
+   * @returns {Object} Effective settings
+   */
+  setSettings(settings) {
+    const next = { ...this.settings };
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in LOAD_GUARD_DEFAULTS)) {
+        throw modbusError('EVALIDATION', `Unknown load guard setting: ${key}`);
+      }
+
+      if (typeof LOAD_GUARD_DEFAULTS[key] === 'boolean') {
+        if (typeof value !== 'boolean') {
+          throw modbusError('EVALIDATION', `Load guard setting "${key}" must be a boolean`);
+        }
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw modbusError('EVALIDATION', `Load guard setting "${key}" must be a non-negative number`);
+      }
+
+      next[key] = value;
+    }
+
+    if (next.pollInterval <= 0) {
+      throw modbusError('EVALIDATION', 'Load guard setting "pollInterval" must be greater than 0');
+    }
+
+    if (next.fallbackCurrent > MODBUS_CONFIG.MAX_CHARGING_CURRENT) {
+      throw modbusError('EVALIDATION', `Load guard fallback current must not exceed ${MODBUS_CONFIG.MAX_CHARGING_CURRENT}A`);
+    }
+
+    this.settings = next;
+    if (this.timer && settings.pollInterval !== undefined) {
+      clearInterval(this.timer);
+      this.timer = setInterval(() => this.tick(), next.pollInterval * 1000);
+    }
+    return { ...this.settings };
+  }
+
+  /**
+   * Update settings while the load guard may be running. A new mainFuse replaces the
+   * fuse limit at once; 0 reads MAX_CURRENT_HOUSE from the charger again.
+   * @param {Object} settings - Subset of LOAD_GUARD_DEFAULTS
+   * @returns {Promise<Object>} Effective settings
+   */
+  async updateSettings(settings) {
+    const fuseLimit = this.enabled && settings?.mainFuse !== undefined
+      ? await this.resolveFuseLimit(settings.mainFuse)
+      : null;
+
+    const effective = this.setSettings(settings);
+    if (fuseLimit !== null) {
+      this.fuseLimit = fuseLimit;
+    }
+    return effective;
+  }
+
+  /**
+   * Determine the fuse limit
+   * @param {number} mainFuse - Main fuse rating in A (0 = read MAX_CURRENT_HOUSE)
+   * @returns {Promise<number>} Fuse limit in A
+   */
+  async resolveFuseLimit(mainFuse) {
+    if (mainFuse) {
+      return mainFuse;
+    }
+
+    const fuseLimit = await this.controller.client.readRegister('MAX_CURRENT_HOUSE');
+    if (!fuseLimit) {
+      throw modbusError('EVALIDATION', 'Main fuse rating unknown: set "mainFuse" or configure MAX_CURRENT_HOUSE on the charger');
+    }
+    return fuseLimit;
+  }
+
+  /**
+   * Attach a meter source that is polled for household currents.
+   * A source is an object with an async read() method resolving to { l1, l2, l3 } in amperes.
+   * @param {Object|null} source - Meter source, or null to rely on pushed readings only
+   */
+  setMeterSource(source) {
+    if (source !== null && typeof source?.read !== 'function') {
+      throw modbusError('EVALIDATION', 'Meter source must provide a read() method');
+    }
+    this.meterSource = source;
+  }
+
+  /**
+   * Enable the load guard. Determines the fuse limit and starts supervision.
+   * @param {Object} [settings] - Optional settings to apply first
+   * @returns {Promise<Object>} Load guard state
+   */
+  async enable(settings = {}) {
+    this.setSettings(settings);
+    const fuseLimit = await this.resolveFuseLimit(this.settings.mainFuse);
+
+    this.resetState();
+    this.fuseLimit = fuseLimit;
+    this.enabled = true;
+    this.reason = 'Waiting for household current readings';
+
+    // Enabling again restarts supervision with the new settings
+    if (this.timer) {
+      clearInterval(this.timer);
+    }
+    this.timer = setInterval(() => this.tick(), this.settings.pollInterval * 1000);
+
+    this.logger.info(`Load guard enabled (main fuse ${fuseLimit}A, margin ${this.settings.safetyMargin}A, ${this.meterSource ? 'meter source' : 'pushed readings'})`);
+    await this.tick();
+    return this.getState();
+  }
+
+  /**
+   * Disable the load guard
+   * @param {boolean} [restore] - Write the unlimited requested current back, or 0 ("no limitation")
+   *   if no current was requested (default: true)
+   * @returns {Promise<Object>} Load guard state
+   */
+  async disable(restore = true) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const wasEnabled = this.enabled;
+    this.enabled = false;
+    this.resetState();
+
+    if (restore && wasEnabled) {
+      const restored = this.controller.paused ? BLOCKING_CURRENT : this.controller.requestedCurrent ?? 0;
+      await this.controller.client.writeRegister('CHARGING_CURRENT_EM', restored);
+    }
+
+    this.logger.info('Load guard disabled');
+    return this.getState();
+  }
+
+  /**
+   * Poll the meter source (if any) and run a control step
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    if (this.meterSource) {
+      try {
+        this.storeReadings(await this.meterSource.read());
+      } catch (error) {
+        this.logger.warn(`Load guard: meter source read failed: ${error.message}`);
+      }
+    }
+
+    await this.evaluate();
+  }
+
+  /**
+   * Push per-phase current readings
+   * @param {Object} readings - Currents per grid phase in A ({ l1, l2, l3 })
+   * @returns {Promise<Object>} Load guard state after evaluation
+   */
+  async pushHouseholdCurrent(readings) {
+    this.storeReadings(readings);
+    await this.evaluate();
+    return this.getState();
+  }
+
+  /**
+   * Validate and store per-phase readings
+   * @param {Object} readings - Currents per grid phase in A ({ l1, l2, l3 })
+   */
+  storeReadings(readings) {
+    for (const phase of PHASES) {
+      const value = readings?.[phase];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw modbusError('EVALIDATION', `Household current "${phase}" must be a number`);
+      }
+    }
+
+    this.readings = { l1: readings.l1, l2: readings.l2, l3: readings.l3, at: Date.now(), household: null };
+  }
+
+  /**
+   * Run one control step: compute the headroom per phase and adjust CHARGING_CURRENT_EM
+   * @returns {Promise<void>}
+   */
+  async evaluate() {
+    if (!this.enabled || this.evaluating) {
+      return;
+    }
+
+    this.evaluating = true;
+
+    try {
+      const now = Date.now();
+      const snapshot = await this.controller.client.readMultipleRegisters(SNAPSHOT_REGISTERS);
+
+      this.rotation = snapshot.PHASE_ROTATION ?? 0;
+      this.chargerPhases = this.activeChargerPhases(snapshot);
+
+      if (!this.readings || now - this.readings.at > this.settings.readingTimeout * 1000) {
+        this.household = null;
+        this.headroom = null;
+        this.allowed = Math.min(this.settings.fallbackCurrent, this.fuseLimit);
+        this.reason = this.readings ? 'Household current readings are stale' : 'Waiting for household current readings';
+      } else {
+        // Derive the household share once per reading; the charger current changes after every write
+        if (!this.readings.household) {
+          this.readings.household = this.householdCurrents(snapshot);
+        }
+        this.household = this.readings.household;
+        this.headroom = {};
+
+        for (const phase of PHASES) {
+          this.headroom[phase] = this.fuseLimit - this.settings.safetyMargin - this.household[phase];
+        }
+
+        // Only the grid phases the charger actually draws from limit the current
+        const limiting = this.chargerPhases.map(phase => this.headroom[this.gridPhase(phase)]);
+        this.allowed = Math.max(0, Math.floor(Math.min(...limiting)));
+        this.reason = this.allowed < MODBUS_CONFIG.MIN_CHARGING_CURRENT
+          ? 'Headroom below minimum charging current, charging blocked'
+          : 'Limiting to available headroom';
+      }
+
+      await this.apply(snapshot.CHARGING_CURRENT_EM, now);
+    } catch (error) {
+      this.logger.error(`Load guard evaluation failed: ${error.message}`);
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  /**
+   * Write the limited setpoint. Reductions are applied at once, increases
+   * only after RECOMMENDED_CURRENT_CHANGE_INTERVAL.
+   * @param {number|null} current - Current value of CHARGING_CURRENT_EM
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<void>}
+   */
+  async apply(current, now) {
+    const target = this.limitCurrent(this.controller.requestedCurrent);
+
+    // 0 means "no limitation" on the device, i.e. above any target
+    const effective = current === 0 ? Infinity : current;
+
+    if (effective !== null && Math.abs(effective - target) < 0.1) {
+      this.written = target;
+      return;
+    }
+
+    const increase = effective !== null && target > effective;
+    if (increase && now - this.lastWrite < MODBUS_CONFIG.RECOMMENDED_CURRENT_CHANGE_INTERVAL) {
+      return;
+    }
+
+    this.logger.info(`Load guard: setting charging current to ${target === BLOCKING_CURRENT ? '0A (blocked)' : `${target}A`}`);
+    await this.controller.client.writeRegister('CHARGING_CURRENT_EM', target);
+    this.written = target;
+    this.lastWrite = now;
+  }
+
+  /**
+   * Limit a requested charging current to the allowed current
+   * @param {number|null} requested - Requested current in A (null = no request, use the maximum)
+   * @returns {number} Value to write to CHARGING_CURRENT_EM (BLOCKING_CURRENT while charging is paused)
+   */
+  limitCurrent(requested) {
+    if (this.controller.paused) {
+      return BLOCKING_CURRENT;
+    }
+
+    const wanted = requested ?? MODBUS_CONFIG.MAX_CHARGING_CURRENT;
+
+    if (!this.enabled || this.allowed === null) {
+      return wanted;
+    }
+
+    const limited = Math.min(wanted, this.allowed);
+    return limited < MODBUS_CONFIG.MIN_CHARGING_CURRENT ? BLOCKING_CURRENT : limited;
+  }
+
+  /**
+   * Household currents per grid phase, without the charger's own share
+   * @param {Object} snapshot - Charger register values
+   * @returns {Object} Currents per grid phase in A
+   */
+  householdCurrents(snapshot) {
+    const household = { l1: this.readings.l1, l2: this.readings.l2, l3: this.readings.l3 };
+
+    if (this.settings.includesCharger) {
+      PHASES.forEach((phase, index) => {
+        const chargerCurrent = snapshot[`CURRENT_L${index + 1}`] || 0;
+        const gridPhase = this.gridPhase(phase);
+        household[gridPhase] = Math.max(0, household[gridPhase] - chargerCurrent);
+      });
+    }
+
+    return household;
+  }
+
+  /**
+   * Charger phases the vehicle draws (or may draw) current from
+   * @param {Object} snapshot - Charger register values
+   * @returns {Array<string>} Charger phases ('l1' .. 'l3')
+   */
+  activeChargerPhases(snapshot) {
+    if (snapshot.SWITCHED_PHASES === 1) {
+      return ['l1'];
+    }
+    if (snapshot.DETECTED_EV_PHASES >= 1 && snapshot.DETECTED_EV_PHASES <= 3) {
+      return PHASES.slice(0, snapshot.DETECTED_EV_PHASES);
+    }
+    // Unknown: assume all phases
+    return [...PHASES];
+  }
+
+  /**
+   * Map a charger phase to the grid phase it is wired to (PHASE_ROTATION)
+   * @param {string} chargerPhase - Charger phase ('l1' .. 'l3')
+   * @returns {string} Grid phase ('l1' .. 'l3')
+   */
+  gridPhase(chargerPhase) {
+    return PHASES[(PHASES.indexOf(chargerPhase) + (this.rotation || 0)) % 3];
+  }
+
+  /**
+   * Get the load guard state
+   * @returns {Object}
+   */
+  getState() {
+    const round = (values) => (values
+      ? Object.fromEntries(PHASES.map(phase => [phase, Math.round(values[phase] * 10) / 10]))
+      : null);
+
+    return {
+      enabled: this.enabled,
+      fuseLimit: this.fuseLimit,
+      allowedCurrent: this.allowed,
+      setpoint: this.written === BLOCKING_CURRENT ? 0 : this.written,
+      requestedCurrent: this.controller.requestedCurrent,
+      paused: this.controller.paused,
+      meterSource: this.meterSource !== null,
+      readings: this.readings ? { ...round(this.readings), at: new Date(this.readings.at).toISOString() } : null,
+      household: round(this.household),
+      headroom: round(this.headroom),
+      phaseRotation: this.rotation,
+      chargerPhases: this.chargerPhases ? this.chargerPhases.map(phase => this.gridPhase(phase).toUpperCase()) : null,
+      reason: this.reason,
+      settings: { ...this.settings }
+    };
+  }
+}
+
+export default LoadGuard;
@@ -0,0 +1,187 @@
+/**
+ * Metrics Exporter
+ * Renders charger readings and Modbus bus health in the Prometheus text exposition format
+ */
+
+import { PRIORITY } from './modbus-queue.js';
+
+const DEVICE_REGISTERS = [
+  'EVSE_STATE',
+  'CP_STATE',
+  'VOLTAGE_L1',
+  'VOLTAGE_L2',
+  'VOLTAGE_L3',
+  'CURRENT_L1',
+  'CURRENT_L2',
+  'CURRENT_L3',
+  'POWER_L1',
+  'POWER_L2',
+  'POWER_L3',
+  'POWER_OVERALL',
+  'TEMPERATURE',
+  'CHARGED_ENERGY_SESSION',
+  'CHARGED_ENERGY_TOTAL'
+];
+
+const PHASES = ['l1', 'l2', 'l3'];
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export class MetricsExporter {
+  /**
+   * @param {Array<{id: string, controller: AmtronController}>} chargers - Chargers to export, labelled by ID
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(chargers, logger) {
+    this.chargers = chargers;
+    this.logger = logger;
+
+    this.pending = null;
+    this.scrapes = 0;
+  }
+
+  /**
+   * Render all metrics. Concurrent scrapes share one set of bus reads.
+   * @returns {Promise<string>} Prometheus text format
+   */
+  render() {
+    if (!this.pending) {
+      this.pending = this.collect().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Read the devices and the bus counters and format them
+   * @returns {Promise<string>}
+   */
+  async collect() {
+    const started = Date.now();
+    const readings = [];
+
+    for (const { id, controller } of this.chargers) {
+      const client = controller.client;
+      const connected = client.getConnectionStatus();
+      let device = null;
+
+      if (connected) {
+        try {
+          device = await client.readMultipleRegisters(DEVICE_REGISTERS, PRIORITY.BACKGROUND);
+        } catch (error) {
+          this.logger.warn(`Metrics: reading device values of ${id} failed: ${error.message}`);
+        }
+      }
+
+      readings.push({ charger: id, client, connected, device, values: device || {} });
+    }
+
+    this.scrapes++;
+    const lines = [];
+
+    this.deviceMetrics(lines, readings);
+    this.busMetrics(lines, readings);
+
+    this.metric(lines, 'amtron_scrape_duration_seconds', 'gauge', 'Time spent reading the device for this scrape', [
+      [null, (Date.now() - started) / 1000]
+    ]);
+    this.metric(lines, 'amtron_scrapes_total', 'counter', 'Number of /metrics scrapes served', [
+      [null, this.scrapes]
+    ]);
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Charger readings. Registers that could not be read are left out.
+   * @param {Array<string>} lines - Output lines
+   * @param {Array<Object>} readings - Register values per charger (device is null if the charger was not read)
+   */
+  deviceMetrics(lines, readings) {
+    const each = (value) => readings.map(reading => [{ charger: reading.charger }, value(reading.values, reading)]);
+    const perPhase = (prefix) => readings.flatMap(reading => PHASES.map(phase => [
+      { charger: reading.charger, phase }, reading.values[`${prefix}_${phase.toUpperCase()}`]
+    ]));
+
+    this.metric(lines, 'amtron_device_up', 'gauge', 'Whether the last read of the charger succeeded',
+      each((values, reading) => reading.device && values.EVSE_STATE !== null ? 1 : 0));
+    this.metric(lines, 'amtron_evse_state', 'gauge', 'EVSE state (0 not initialized, 1 idle, 2 EV connected, 3 preconditions valid, 4 ready, 5 charging, 6 error, 7 service)',
+      each(values => values.EVSE_STATE));
+    this.metric(lines, 'amtron_cp_state', 'gauge', 'Control pilot state (10-15 A1-F, 26-29 A2-D2, see getStatus cpStateText)',
+      each(values => values.CP_STATE));
+    this.metric(lines, 'amtron_voltage_volts', 'gauge', 'Voltage per phase', perPhase('VOLTAGE'));
+    this.metric(lines, 'amtron_current_amperes', 'gauge', 'Current per phase', perPhase('CURRENT'));
+    this.metric(lines, 'amtron_power_watts', 'gauge', 'Active power per phase', perPhase('POWER'));
+    this.metric(lines, 'amtron_power_total_watts', 'gauge', 'Active power of all phases',
+      each(values => values.POWER_OVERALL));
+    this.metric(lines, 'amtron_temperature_celsius', 'gauge', 'Charger temperature',
+      each(values => values.TEMPERATURE));
+    this.metric(lines, 'amtron_session_energy_kilowatt_hours', 'gauge', 'Energy charged in the current session',
+      each(values => values.CHARGED_ENERGY_SESSION));
+    this.metric(lines, 'amtron_lifetime_energy_kilowatt_hours', 'gauge', 'Energy charged over the lifetime of the charger',
+      each(values => values.CHARGED_ENERGY_TOTAL));
+  }
+
+  /**
+   * Modbus connection, queue and heartbeat counters. Chargers on a shared bus report the same queue values.
+   * @param {Array<string>} lines - Output lines
+   * @param {Array<Object>} readings - Client and connection status per charger
+   */
+  busMetrics(lines, readings) {
+    const each = (value) => readings.map(reading => [{ charger: reading.charger }, value(reading.client.getStats(), reading)]);
+    const queue = (value) => readings.map(reading => [{ charger: reading.charger }, value(reading.client.getQueueStats())]);
+
+    this.metric(lines, 'amtron_modbus_connected', 'gauge', 'Whether the Modbus connection is up',
+      each((stats, reading) => reading.connected ? 1 : 0));
+    this.metric(lines, 'amtron_modbus_requests_total', 'counter', 'Modbus transactions sent on the bus',
+      each(stats => stats.requests));
+    this.metric(lines, 'amtron_modbus_errors_total', 'counter', 'Modbus transactions that failed',
+      each(stats => stats.errors));
+    this.metric(lines, 'amtron_modbus_retries_total', 'counter', 'Modbus transactions retried after a failure',
+      each(stats => stats.retries));
+    this.metric(lines, 'amtron_modbus_timeouts_total', 'counter', 'Modbus transactions without a response in time',
+      each(stats => stats.timeouts));
+    this.metric(lines, 'amtron_modbus_reconnects_total', 'counter', 'Reconnection attempts after a lost connection',
+      each(stats => stats.reconnects));
+    this.metric(lines, 'amtron_modbus_verify_failures_total', 'counter', 'Writes the device did not confirm on read-back',
+      each(stats => stats.verifyFailures));
+    this.metric(lines, 'amtron_modbus_queue_depth', 'gauge', 'Requests waiting for the bus',
+      queue(stats => stats.depth));
+    this.metric(lines, 'amtron_modbus_queue_expired_total', 'counter', 'Requests dropped after waiting longer than the request deadline',
+      queue(stats => stats.expired));
+    this.metric(lines, 'amtron_heartbeats_total', 'counter', 'Heartbeat writes by result', readings.flatMap(reading => {
+      const stats = reading.client.getStats();
+      return [
+        [{ charger: reading.charger, result: 'success' }, stats.heartbeatSuccess],
+        [{ charger: reading.charger, result: 'failure' }, stats.heartbeatFailure]
+      ];
+    }));
+  }
+
+  /**
+   * Append one metric family. Samples without a value are skipped.
+   * @param {Array<string>} lines - Output lines
+   * @param {string} name - Metric name
+   * @param {string} type - 'gauge' or 'counter'
+   * @param {string} help - Help text
+   * @param {Array<[Object|null, number|null]>} samples - Label sets and values
+   */
+  metric(lines, name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+
+    for (const [labels, value] of samples) {
+      if (value === null || value === undefined || Number.isNaN(value)) {
+        continue;
+      }
+
+      const labelText = labels
+        ? `{${Object.entries(labels).map(([key, label]) => `${key}="${label}"`).join(',')}}`
+        : '';
+      lines.push(`${name}${labelText} ${Number(value)}`);
+    }
+  }
+}
+
+export default MetricsExporter;
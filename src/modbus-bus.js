@@ -0,0 +1,151 @@
+/**
+ * Modbus Bus
+ * One physical connection (serial port or gateway socket) with its request queue.
+ * Chargers on the same RS485 bus share one bus, so their requests never collide.
+ */
+
+import ModbusRTU from 'modbus-serial';
+import { AmtronSimulator } from './amtron-simulator.js';
+import { ModbusQueue } from './modbus-queue.js';
+
+export class ModbusBus {
+  /**
+   * @param {Object} config - Transport configuration (transport, port, serial settings, host, tcpPort, timeout,
+   *   interFrameDelay, requestDeadline, simulator), see ModbusClient
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.client = config.simulator
+      ? new AmtronSimulator(config.simulator, logger)
+      : new ModbusRTU();
+    // Every transaction goes through this queue so requests never collide on the bus
+    this.queue = new ModbusQueue({
+      interFrameDelay: config.interFrameDelay,
+      requestDeadline: config.requestDeadline
+    }, logger);
+    this.clients = new Set(); // ModbusClients (one per slave ID) using this bus
+    this.opening = null;
+  }
+
+  /**
+   * Key identifying the physical connection of a configuration. Clients with the same key share a bus.
+   * @param {Object} config - Transport configuration
+   * @returns {string|null} - null if the connection cannot be shared (simulator)
+   */
+  static key(config) {
+    if (config.simulator) {
+      return null;
+    }
+    return config.transport === 'rtu'
+      ? `rtu:${config.port}`
+      : `${config.transport}:${config.host}:${config.tcpPort}`;
+  }
+
+  /**
+   * Human-readable description of the transport
+   * @returns {string}
+   */
+  describe() {
+    if (this.config.simulator) {
+      return 'simulated Amtron device';
+    }
+
+    switch (this.config.transport) {
+      case 'tcp':
+        return `Modbus TCP on ${this.config.host}:${this.config.tcpPort}`;
+      case 'rtu-over-tcp':
+        return `Modbus RTU over TCP on ${this.config.host}:${this.config.tcpPort}`;
+      default:
+        return `Modbus RTU on ${this.config.port}`;
+    }
+  }
+
+  /**
+   * Whether more than one client uses this bus
+   * @returns {boolean}
+   */
+  isShared() {
+    return this.clients.size > 1;
+  }
+
+  /**
+   * Whether the transport is open
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.client.isOpen;
+  }
+
+  /**
+   * Open the transport. Concurrent calls (several clients reconnecting at once) share one attempt.
+   * @param {Object} [options] - Open options
+   * @param {boolean} [options.reopen] - Close and reopen a port that is already open, e.g. a stale socket (default: false)
+   * @returns {Promise<void>}
+   */
+  open({ reopen = false } = {}) {
+    if (!this.opening) {
+      this.opening = (async () => {
+        if (this.client.isOpen) {
+          if (!reopen) {
+            return;
+          }
+          await this.close();
+        }
+        await this.openTransport();
+      })().finally(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  /**
+   * Open the configured transport
+   * @returns {Promise<void>}
+   */
+  async openTransport() {
+    if (this.config.simulator) {
+      await this.client.open();
+    } else {
+      switch (this.config.transport) {
+        case 'tcp':
+          await this.client.connectTCP(this.config.host, {
+            port: this.config.tcpPort,
+            timeout: this.config.timeout
+          });
+          break;
+
+        case 'rtu-over-tcp':
+          await this.client.connectTcpRTUBuffered(this.config.host, {
+            port: this.config.tcpPort,
+            timeout: this.config.timeout
+          });
+          break;
+
+        default:
+          await this.client.connectRTU(this.config.port, {
+            baudRate: this.config.baudRate,
+            dataBits: this.config.dataBits,
+            stopBits: this.config.stopBits,
+            parity: this.config.parity
+          });
+      }
+    }
+
+    this.client.setTimeout(this.config.timeout);
+  }
+
+  /**
+   * Close the transport, waiting for the port to be released
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      this.client.close(() => resolve());
+    });
+  }
+}
+
+export default ModbusBus;
@@ -1,47 +1,222 @@
 /**
- * Modbus RTU Client for Mennekes Amtron Compact
- * Handles low-level Modbus communication with error handling and reconnection logic
+ * Modbus Client for Mennekes Amtron Compact
+ * Handles low-level Modbus communication (RTU, TCP and RTU over TCP) with error handling and reconnection logic
  */
 
-import ModbusRTU from 'modbus-serial';
 import { EventEmitter } from 'events';
-import { REGISTERS, getRegisterByAddress } from './registers.js';
+import { REGISTERS, getRegisterByAddress, isRegisterSupported, parseRegisterVersion, formatModbusVersion } from './registers.js';
+import { ModbusBus } from './modbus-bus.js';
+import { PRIORITY } from './modbus-queue.js';
+
+/**
+ * Supported transports
+ * - rtu: Modbus RTU on a local serial port
+ * - tcp: Modbus TCP (MBAP framing) to a gateway
+ * - rtu-over-tcp: Raw RTU frames tunnelled through a transparent RS485-to-Ethernet gateway
+ */
+export const TRANSPORTS = ['rtu', 'tcp', 'rtu-over-tcp'];
+
+/**
+ * Largest difference between a written and a read-back float that still counts as confirmed
+ * (float32 rounding, the charger may round currents to 0.1 A)
+ */
+const VERIFY_FLOAT_TOLERANCE = 0.05;
+
+/**
+ * Upper limit of the exponential retry backoff in ms
+ */
+const MAX_RETRY_DELAY = 5000;
+
+/**
+ * Error taxonomy. Errors thrown by the client carry one of these codes in error.code;
+ * only retryable errors are retried.
+ * - ETIMEDOUT: no response in time (device off, wrong slave ID, wiring)
+ * - ECRC: corrupted response (CRC or length mismatch, usually noise or wrong serial settings)
+ * - EILLEGALFUNCTION ... EDEVICEFAILURE: Modbus exception 1-4, the device answered and refused the request
+ * - EEXCEPTION: other Modbus exceptions (device busy, gateway path or target unavailable)
+ * - EPORTCLOSED: serial port or gateway connection not open
+ * - EVALIDATION: request rejected before it was sent (unknown register, access, value)
+ * - EDEADLINE, ECANCELLED: request expired in or was removed from the bus queue
+ * - EUNSUPPORTED: register not in the register layout of the device
+ * - EVERIFY: write not confirmed on read-back
+ */
+export const MODBUS_ERRORS = {
+  ETIMEDOUT: { name: 'Timeout', retryable: true },
+  ECRC: { name: 'CRC error', retryable: true },
+  EILLEGALFUNCTION: { name: 'Illegal function', exception: 1, retryable: false },
+  EILLEGALADDRESS: { name: 'Illegal data address', exception: 2, retryable: false },
+  EILLEGALVALUE: { name: 'Illegal data value', exception: 3, retryable: false },
+  EDEVICEFAILURE: { name: 'Slave device failure', exception: 4, retryable: false },
+  EEXCEPTION: { name: 'Modbus exception', retryable: true },
+  EPORTCLOSED: { name: 'Port closed', retryable: false },
+  EVALIDATION: { name: 'Validation error', retryable: false },
+  ENOENTRY: { name: 'Not found', retryable: false },
+  EDEADLINE: { name: 'Queue deadline exceeded', retryable: false },
+  ECANCELLED: { name: 'Request cancelled', retryable: false },
+  EUNSUPPORTED: { name: 'Register not supported', retryable: false },
+  EVERIFY: { name: 'Write not confirmed', retryable: false },
+  EUNKNOWN: { name: 'Unknown error', retryable: true }
+};
+
+const EXCEPTION_ERRORS = Object.fromEntries(Object.entries(MODBUS_ERRORS)
+  .filter(([, type]) => type.exception !== undefined)
+  .map(([code, type]) => [type.exception, code]));
+
+/**
+ * Socket and serial port error codes of a dropped connection
+ */
+const CLOSED_PORT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTCONN'];
+
+/**
+ * Create an error with a code from MODBUS_ERRORS
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function modbusError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Classify an error of modbus-serial, the simulator, the queue or the client.
+ * Sets error.code to a MODBUS_ERRORS code (the original socket code, if any, is kept in error.errno).
+ * @param {Error} error - Error to classify
+ * @returns {string} - Error code
+ */
+export function classifyError(error) {
+  if (MODBUS_ERRORS[error.code]) {
+    return error.code;
+  }
+
+  let code = 'EUNKNOWN';
+
+  if (error.modbusCode !== undefined) {
+    code = EXCEPTION_ERRORS[error.modbusCode] || 'EEXCEPTION';
+  } else if (error.errno === 'ETIMEDOUT' || /timed out/i.test(error.message)) {
+    code = 'ETIMEDOUT';
+  } else if (/CRC error|Data length error/i.test(error.message)) {
+    code = 'ECRC';
+  } else if (CLOSED_PORT_CODES.includes(error.code) || CLOSED_PORT_CODES.includes(error.errno) || /port (is )?not open/i.test(error.message)) {
+    code = 'EPORTCLOSED';
+  }
+
+  if (error.code && error.errno === undefined) {
+    error.errno = error.code;
+  }
+  error.code = code;
+  return code;
+}
 
 export class ModbusClient extends EventEmitter {
   /**
    * @param {Object} config - Configuration object
+   * @param {string} config.transport - Transport ('rtu', 'tcp' or 'rtu-over-tcp') (default: 'rtu')
    * @param {string} config.port - Serial port path (e.g., 'COM3' or '/dev/ttyUSB0')
    * @param {number} config.baudRate - Baud rate (default: 57600)
    * @param {number} config.dataBits - Data bits (default: 8)
    * @param {number} config.stopBits - Stop bits (default: 2)
    * @param {string} config.parity - Parity ('none', 'even', 'odd') (default: 'none')
-   * @param {number} config.slaveId - Modbus slave ID (default: 1)
+   * @param {string} config.host - Gateway host name or IP address (TCP transports)
+   * @param {number} config.tcpPort - Gateway TCP port (default: 502)
+   * @param {number} config.slaveId - Modbus slave ID, used as unit ID on TCP transports (default: 1)
    * @param {number} config.timeout - Response timeout in ms (default: 1000)
    * @param {number} config.reconnectInterval - Reconnection interval in ms (default: 5000)
    * @param {number} config.maxRetries - Maximum number of retries for failed operations (default: 3)
+   * @param {number} config.retryDelay - Delay before the first retry in ms, doubled for every further retry (default: 250)
+   * @param {number} config.maxReadLength - Maximum number of words per FC03 block read (default: 125)
+   * @param {number} config.interFrameDelay - Silent time between two transactions in ms (default: 10)
+   * @param {number} config.requestDeadline - Maximum time a request may wait in the bus queue in ms (default: 10000)
+   * @param {boolean} config.verifyWrites - Read back RW registers after each write and fail on a mismatch (default: false)
+   * @param {Object} [config.simulator] - Use the in-process AmtronSimulator with these options instead of a real transport
    * @param {Object} logger - Winston logger instance
+   * @param {ModbusBus} [bus] - Bus shared with the clients of other chargers on the same port (default: a bus of its own)
    */
-  constructor(config, logger) {
+  constructor(config, logger, bus = null) {
     super();
 
     this.config = {
+      transport: config.transport || 'rtu',
       port: config.port || 'COM3',
       baudRate: config.baudRate || 57600,
       dataBits: config.dataBits || 8,
       stopBits: config.stopBits || 2,
       parity: config.parity || 'none',
+      host: config.host || null,
+      tcpPort: config.tcpPort || 502,
       slaveId: config.slaveId || 1,
       timeout: config.timeout || 1000,
       reconnectInterval: config.reconnectInterval || 5000,
-      maxRetries: config.maxRetries || 3
+      maxRetries: config.maxRetries || 3,
+      retryDelay: config.retryDelay || 250,
+      maxReadLength: Math.min(config.maxReadLength || 125, 125),
+      interFrameDelay: config.interFrameDelay ?? 10,
+      requestDeadline: config.requestDeadline || 10000,
+      verifyWrites: config.verifyWrites || false,
+      simulator: config.simulator || null
     };
 
+    if (!TRANSPORTS.includes(this.config.transport)) {
+      throw modbusError('EVALIDATION', `Unknown Modbus transport: ${this.config.transport} (expected one of ${TRANSPORTS.join(', ')})`);
+    }
+
+    if (this.config.transport !== 'rtu' && !this.config.simulator && !this.config.host) {
+      throw modbusError('EVALIDATION', `Modbus transport ${this.config.transport} requires a host`);
+    }
+
     this.logger = logger;
-    this.client = new ModbusRTU();
+    this.bus = bus || new ModbusBus(this.config, logger);
+    this.bus.clients.add(this);
+    this.client = this.bus.client;
+    // Every transaction goes through the bus queue so requests never collide on the bus
+    this.queue = this.bus.queue;
     this.isConnected = false;
     this.reconnecting = false;
+    this.restarting = false;
+    this.modbusVersion = null; // MODBUS_VERSION of the device, detected on connect (null = unknown)
     this.heartbeatInterval = null;
     this.connectionCheckInterval = null;
+
+    // Bus health counters since start (exported on /metrics)
+    this.stats = {
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      timeouts: 0,
+      reconnects: 0,
+      verifyFailures: 0,
+      heartbeatSuccess: 0,
+      heartbeatFailure: 0
+    };
+
+    // A gateway dropping the TCP connection (or a USB adapter being unplugged) closes the port
+    this.client.on('close', () => {
+      if (this.isConnected) {
+        this.logger.warn(`Port closed unexpectedly (${this.describeTransport()})`);
+        this.isConnected = false;
+        this.emit('connectionLost');
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Human-readable description of the configured transport
+   * @returns {string}
+   */
+  describeTransport() {
+    return this.bus.isShared()
+      ? `${this.bus.describe()} (slave ID ${this.config.slaveId})`
+      : this.bus.describe();
+  }
+
+  /**
+   * Whether another client of the bus is connected
+   * @returns {boolean}
+   */
+  busInUse() {
+    return [...this.bus.clients].some(client => client !== this && client.isConnected);
   }
 
   /**
@@ -50,29 +225,24 @@ export class ModbusClient extends EventEmitter {
    */
   async connect() {
     try {
-      this.logger.info(`Connecting to Modbus RTU on ${this.config.port}...`);
-
-      await this.client.connectRTU(this.config.port, {
-        baudRate: this.config.baudRate,
-        dataBits: this.config.dataBits,
-        stopBits: this.config.stopBits,
-        parity: this.config.parity
-      });
+      this.logger.info(`Connecting to ${this.describeTransport()}...`);
 
-      this.client.setID(this.config.slaveId);
-      this.client.setTimeout(this.config.timeout);
+      // Release a stale port/socket left over from a lost connection (unless other chargers use it)
+      await this.bus.open({ reopen: !this.busInUse() });
 
       this.isConnected = true;
       this.reconnecting = false;
 
-      this.logger.info('Successfully connected to Modbus RTU device');
+      this.logger.info(`Successfully connected to ${this.describeTransport()}`);
       this.emit('connected');
 
       // Start connection monitoring
       this.startConnectionMonitoring();
 
+      await this.detectModbusVersion();
+
     } catch (error) {
-      this.logger.error(`Failed to connect to Modbus RTU: ${error.message}`);
+      this.logger.error(`Failed to connect to ${this.describeTransport()}: ${error.message}`);
       this.isConnected = false;
       this.emit('error', error);
 
@@ -87,26 +257,83 @@ export class ModbusClient extends EventEmitter {
    * @returns {Promise<void>}
    */
   async disconnect() {
-    this.logger.info('Disconnecting from Modbus RTU device...');
+    this.logger.info(`Disconnecting from ${this.describeTransport()}...`);
 
     // Stop heartbeat and connection monitoring
     this.stopHeartbeat();
     this.stopConnectionMonitoring();
 
-    if (this.client.isOpen) {
-      await this.client.close();
+    // Mark as disconnected first so the port close is not treated as a lost connection
+    this.isConnected = false;
+
+    // The port stays open while other chargers on the bus are connected
+    if (!this.busInUse()) {
+      this.queue.clear('disconnected');
+
+      if (this.client.isOpen) {
+        await this.bus.close();
+      }
     }
 
-    this.isConnected = false;
     this.emit('disconnected');
-    this.logger.info('Disconnected from Modbus RTU device');
+    this.logger.info(`Disconnected from ${this.describeTransport()}`);
+  }
+
+  /**
+   * Read MODBUS_VERSION to learn which registers the device has.
+   * If it cannot be read, the last known version is kept (all registers are assumed supported until one is known).
+   * @returns {Promise<number|null>} - Detected version
+   */
+  async detectModbusVersion() {
+    try {
+      const version = await this.readRegister('MODBUS_VERSION', PRIORITY.CONTROL);
+
+      if (version === null) {
+        this.logger.warn('Could not detect the register layout version: MODBUS_VERSION could not be read');
+        return this.modbusVersion;
+      }
+
+      if (version !== this.modbusVersion) {
+        const unsupported = Object.values(REGISTERS).filter(register => !isRegisterSupported(register, version)).length;
+        this.logger.info(`Device register layout ${formatModbusVersion(version)}${unsupported > 0 ? `, ${unsupported} registers not supported` : ''}`);
+      }
+
+      this.modbusVersion = version;
+    } catch (error) {
+      this.logger.warn(`Could not detect the register layout version: ${error.message}`);
+    }
+
+    return this.modbusVersion;
+  }
+
+  /**
+   * Check whether the connected device has a register
+   * @param {string} registerName - Register name from REGISTERS
+   * @returns {boolean} - true if supported, or if the device version is not known
+   */
+  supportsRegister(registerName) {
+    return this.modbusVersion === null || isRegisterSupported(REGISTERS[registerName], this.modbusVersion);
+  }
+
+  /**
+   * Fail for a register the connected device does not have
+   * @param {string} registerName - Register name from REGISTERS
+   */
+  requireSupported(registerName) {
+    if (this.supportsRegister(registerName)) {
+      return;
+    }
+
+    const required = formatModbusVersion(parseRegisterVersion(REGISTERS[registerName].version));
+    throw modbusError('EUNSUPPORTED', `Register ${registerName} is not supported by this charger (requires register layout ${required}, device has ${formatModbusVersion(this.modbusVersion)})`);
   }
 
   /**
    * Schedule reconnection attempt
    */
   scheduleReconnect() {
-    if (this.reconnecting) {
+    // restartDevice() reopens the connection itself once the device is back
+    if (this.reconnecting || this.restarting) {
       return;
     }
 
@@ -114,6 +341,9 @@ export class ModbusClient extends EventEmitter {
     this.logger.info(`Scheduling reconnection in ${this.config.reconnectInterval}ms...`);
 
     setTimeout(() => {
+      // Allow a failed attempt to schedule the next one
+      this.reconnecting = false;
+      this.stats.reconnects++;
       this.connect().catch(err => {
         this.logger.error(`Reconnection failed: ${err.message}`);
       });
@@ -124,12 +354,22 @@ export class ModbusClient extends EventEmitter {
    * Start connection monitoring
    */
   startConnectionMonitoring() {
+    if (this.connectionCheckInterval) {
+      return; // Already running (reconnect)
+    }
+
     // Check connection status every 30 seconds
     this.connectionCheckInterval = setInterval(async () => {
       try {
         // Try to read a simple register to check connection
-        await this.readRegister('EVSE_STATE');
+        await this.readRegister('EVSE_STATE', PRIORITY.BACKGROUND);
       } catch (error) {
+        // A probe that never got a bus slot says nothing about the device
+        if (error.code === 'EDEADLINE') {
+          this.logger.warn('Connection check skipped, bus queue is congested');
+          return;
+        }
+
         this.logger.warn('Connection check failed, attempting reconnection...');
         this.isConnected = false;
         this.emit('connectionLost');
@@ -151,120 +391,205 @@ export class ModbusClient extends EventEmitter {
   /**
    * Read a register by name
    * @param {string} registerName - Register name from REGISTERS
-   * @param {number} retryCount - Current retry count (internal use)
+   * @param {number} priority - Bus queue priority (default: PRIORITY.NORMAL)
    * @returns {Promise<any>} - Parsed register value
    */
-  async readRegister(registerName, retryCount = 0) {
+  async readRegister(registerName, priority = PRIORITY.NORMAL) {
     const register = REGISTERS[registerName];
 
     if (!register) {
-      throw new Error(`Unknown register: ${registerName}`);
+      throw modbusError('EVALIDATION', `Unknown register: ${registerName}`);
     }
 
     if (!register.access.includes('R')) {
-      throw new Error(`Register ${registerName} is not readable`);
+      throw modbusError('EVALIDATION', `Register ${registerName} is not readable`);
     }
 
+    this.requireSupported(registerName);
+
+    const buffer = await this.readBlock(register.address, register.length, `register ${registerName}`, priority);
+    return this.parseRegisterValue(register, buffer);
+  }
+
+  /**
+   * Read a contiguous block of holding registers, retrying errors that can be retried
+   * @param {number} address - Start address
+   * @param {number} length - Number of 16-bit words
+   * @param {string} label - Description used in log messages
+   * @param {number} priority - Bus queue priority (default: PRIORITY.NORMAL)
+   * @param {number} retryCount - Current retry count (internal use)
+   * @returns {Promise<Buffer>} - Raw buffer (2 bytes per word)
+   */
+  async readBlock(address, length, label, priority = PRIORITY.NORMAL, retryCount = 0) {
     try {
       if (!this.isConnected) {
-        throw new Error('Not connected to Modbus device');
+        throw modbusError('EPORTCLOSED', 'Not connected to Modbus device');
       }
 
       // Use function code 0x03 (Read Holding Registers)
-      const data = await this.client.readHoldingRegisters(register.address, register.length);
+      const data = await this.queue.enqueue(
+        () => this.countRequest(() => this.client.readHoldingRegisters(address, length)),
+        { priority, label: `read ${label}` }
+      );
 
-      return this.parseRegisterValue(register, data.buffer);
+      return data.buffer;
 
     } catch (error) {
-      this.logger.error(`Error reading register ${registerName}: ${error.message}`);
-
-      // Retry logic
-      if (retryCount < this.config.maxRetries) {
-        this.logger.warn(`Retrying read operation (${retryCount + 1}/${this.config.maxRetries})...`);
-        await this.delay(500); // Wait 500ms before retry
-        return this.readRegister(registerName, retryCount + 1);
-      }
-
-      // Connection might be lost
-      if (error.message.includes('Port Not Open') || error.message.includes('Timed Out')) {
-        this.isConnected = false;
-        this.emit('connectionLost');
-        this.scheduleReconnect();
+      const code = classifyError(error);
+      this.logger.error(`Error reading ${label}: ${error.message} (${code})`);
+
+      // An exception or an expired request would fail the same way again
+      if (retryCount < this.config.maxRetries && MODBUS_ERRORS[code].retryable) {
+        const delay = this.retryDelay(retryCount);
+        this.logger.warn(`Retrying read operation in ${delay}ms (${retryCount + 1}/${this.config.maxRetries})...`);
+        this.stats.retries++;
+        await this.delay(delay);
+        return this.readBlock(address, length, label, priority, retryCount + 1);
       }
 
+      this.handleConnectionError(code);
       throw error;
     }
   }
 
   /**
-   * Write a register by name
+   * Write a register by name. With verifyWrites, RW registers are read back and a mismatch fails with code 'EVERIFY'.
    * @param {string} registerName - Register name from REGISTERS
    * @param {any} value - Value to write
+   * @param {number} priority - Bus queue priority (default: PRIORITY.CONTROL)
    * @param {number} retryCount - Current retry count (internal use)
-   * @returns {Promise<void>}
+   * @returns {Promise<any>} - Value confirmed by the device, or the written value if the write is not verified
    */
-  async writeRegister(registerName, value, retryCount = 0) {
+  async writeRegister(registerName, value, priority = PRIORITY.CONTROL, retryCount = 0) {
     const register = REGISTERS[registerName];
 
     if (!register) {
-      throw new Error(`Unknown register: ${registerName}`);
+      throw modbusError('EVALIDATION', `Unknown register: ${registerName}`);
     }
 
     if (!register.access.includes('W')) {
-      throw new Error(`Register ${registerName} is not writable`);
+      throw modbusError('EVALIDATION', `Register ${registerName} is not writable`);
     }
 
+    this.requireSupported(registerName);
+
     try {
       if (!this.isConnected) {
-        throw new Error('Not connected to Modbus device');
+        throw modbusError('EPORTCLOSED', 'Not connected to Modbus device');
       }
 
       const buffer = this.encodeRegisterValue(register, value);
 
-      if (register.length === 1) {
-        // Use function code 0x06 (Write Single Register)
-        await this.client.writeRegister(register.address, buffer[0]);
-      } else {
+      await this.queue.enqueue(() => this.countRequest(() => {
+        if (register.length === 1) {
+          // Use function code 0x06 (Write Single Register)
+          return this.client.writeRegister(register.address, buffer[0]);
+        }
         // Use function code 0x10 (Write Multiple Registers)
-        await this.client.writeRegisters(register.address, buffer);
-      }
+        return this.client.writeRegisters(register.address, buffer);
+      }), { priority, label: `write register ${registerName}` });
 
       this.logger.debug(`Successfully wrote ${value} to register ${registerName}`);
 
     } catch (error) {
-      this.logger.error(`Error writing register ${registerName}: ${error.message}`);
-
-      // Retry logic
-      if (retryCount < this.config.maxRetries) {
-        this.logger.warn(`Retrying write operation (${retryCount + 1}/${this.config.maxRetries})...`);
-        await this.delay(500);
-        return this.writeRegister(registerName, value, retryCount + 1);
+      const code = classifyError(error);
+      this.logger.error(`Error writing register ${registerName}: ${error.message} (${code})`);
+
+      if (retryCount < this.config.maxRetries && MODBUS_ERRORS[code].retryable) {
+        const delay = this.retryDelay(retryCount);
+        this.logger.warn(`Retrying write operation in ${delay}ms (${retryCount + 1}/${this.config.maxRetries})...`);
+        this.stats.retries++;
+        await this.delay(delay);
+        return this.writeRegister(registerName, value, priority, retryCount + 1);
       }
 
-      // Connection might be lost
-      if (error.message.includes('Port Not Open') || error.message.includes('Timed Out')) {
-        this.isConnected = false;
-        this.emit('connectionLost');
-        this.scheduleReconnect();
-      }
+      this.handleConnectionError(code);
+      throw error;
+    }
+
+    // Outside the retry loop: writing the same value again would not change what the device accepts
+    return this.verifyWrite(registerName, value, priority);
+  }
+
+  /**
+   * Delay before a retry: retryDelay, doubled for every further attempt
+   * @param {number} retryCount - Retries already made
+   * @returns {number} - Delay in ms
+   */
+  retryDelay(retryCount) {
+    return Math.min(this.config.retryDelay * 2 ** retryCount, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Treat the connection as lost after a request failed for good with a closed port or a timeout
+   * @param {string} code - Error code from classifyError
+   */
+  handleConnectionError(code) {
+    if (this.isConnected && (code === 'EPORTCLOSED' || code === 'ETIMEDOUT')) {
+      this.isConnected = false;
+      this.emit('connectionLost');
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Whether writes to a register are read back
+   * @param {string} registerName - Register name from REGISTERS
+   * @returns {boolean} - false for write-only and function registers (heartbeat, restart)
+   */
+  verifiesWrites(registerName) {
+    const register = REGISTERS[registerName];
+    return this.config.verifyWrites && register.access === 'RW' && register.writeValue === undefined;
+  }
+
+  /**
+   * Read back a written register and compare it with the written value
+   * @param {string} registerName - Register name from REGISTERS
+   * @param {any} value - Written value
+   * @param {number} priority - Bus queue priority (default: PRIORITY.CONTROL)
+   * @returns {Promise<any>} - Value reported by the device (the written value if the register is not verified)
+   */
+  async verifyWrite(registerName, value, priority = PRIORITY.CONTROL) {
+    if (!this.verifiesWrites(registerName)) {
+      return value;
+    }
 
+    const register = REGISTERS[registerName];
+    const buffer = await this.readBlock(register.address, register.length, `register ${registerName} (verify)`, priority);
+    const actual = this.parseRegisterValue(register, buffer);
+    const matches = register.type === 'float'
+      ? Math.abs(actual - value) <= VERIFY_FLOAT_TOLERANCE
+      : actual === value;
+
+    if (!matches) {
+      this.stats.verifyFailures++;
+      const error = modbusError('EVERIFY', `Write to ${registerName} not confirmed: wrote ${value}, device reports ${actual}`);
+      error.register = registerName;
+      error.expected = value;
+      error.actual = actual;
+      this.logger.error(error.message);
       throw error;
     }
+
+    this.logger.debug(`Verified ${registerName} = ${actual}`);
+    return actual;
   }
 
   /**
-   * Read multiple registers at once
+   * Read multiple registers at once.
+   * Registers at adjacent addresses are combined into spans that are read with a single FC03 request.
    * @param {Array<string>} registerNames - Array of register names
-   * @returns {Promise<Object>} - Object with register names as keys and values
+   * @param {number} priority - Bus queue priority (default: PRIORITY.NORMAL)
+   * @returns {Promise<Object>} - Object with register names as keys and values (null if a register could not be read or is not supported)
    */
-  async readMultipleRegisters(registerNames) {
+  async readMultipleRegisters(registerNames, priority = PRIORITY.NORMAL) {
+    const buffers = await this.readRegisterBuffers(registerNames, priority);
     const results = {};
 
-    for (const name of registerNames) {
+    for (const [name, buffer] of Object.entries(buffers)) {
       try {
-        results[name] = await this.readRegister(name);
+        results[name] = buffer ? this.parseRegisterValue(REGISTERS[name], buffer) : null;
       } catch (error) {
-        this.logger.error(`Failed to read ${name}: ${error.message}`);
         results[name] = null;
       }
     }
@@ -272,6 +597,108 @@ export class ModbusClient extends EventEmitter {
     return results;
   }
 
+  /**
+   * Read the raw words of multiple registers, combining adjacent registers like readMultipleRegisters
+   * @param {Array<string>} registerNames - Array of register names
+   * @param {number} priority - Bus queue priority (default: PRIORITY.NORMAL)
+   * @returns {Promise<Object>} - Object with register names as keys and Buffers (null if a register could not be read or is not supported)
+   */
+  async readRegisterBuffers(registerNames, priority = PRIORITY.NORMAL) {
+    const results = {};
+    const readable = [];
+
+    for (const name of registerNames) {
+      const register = REGISTERS[name];
+
+      if (!register) {
+        this.logger.error(`Failed to read ${name}: Unknown register: ${name}`);
+        results[name] = null;
+      } else if (!register.access.includes('R')) {
+        this.logger.error(`Failed to read ${name}: Register ${name} is not readable`);
+        results[name] = null;
+      } else if (!this.supportsRegister(name)) {
+        // Not an error: the device is older than the register
+        results[name] = null;
+      } else {
+        readable.push(name);
+      }
+    }
+
+    for (const span of this.planReads(readable)) {
+      try {
+        const buffer = await this.readBlock(span.address, span.length, this.describeSpan(span), priority);
+
+        for (const { name, register, offset } of span.registers) {
+          results[name] = buffer.subarray(offset * 2, (offset + register.length) * 2);
+        }
+      } catch (error) {
+        if (span.registers.length === 1) {
+          this.logger.error(`Failed to read ${span.registers[0].name}: ${error.message}`);
+          results[span.registers[0].name] = null;
+          continue;
+        }
+
+        // Fall back to single reads so one failing register does not take the whole span with it
+        this.logger.warn(`Block read of ${this.describeSpan(span)} failed, reading registers individually`);
+        for (const { name, register } of span.registers) {
+          try {
+            results[name] = await this.readBlock(register.address, register.length, `register ${name}`, priority);
+          } catch (err) {
+            this.logger.error(`Failed to read ${name}: ${err.message}`);
+            results[name] = null;
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Group registers into contiguous address spans.
+   * Spans never bridge unmapped addresses (the device answers those with an exception)
+   * and never exceed config.maxReadLength words.
+   * @param {Array<string>} registerNames - Readable register names
+   * @returns {Array<{address: number, length: number, registers: Array<{name: string, register: Object, offset: number}>}>}
+   */
+  planReads(registerNames) {
+    const registers = [...new Set(registerNames)]
+      .map(name => ({ name, register: REGISTERS[name] }))
+      .sort((a, b) => a.register.address - b.register.address);
+
+    const spans = [];
+    let span = null;
+
+    for (const { name, register } of registers) {
+      const contiguous = span && register.address === span.address + span.length;
+      const fits = span && span.length + register.length <= this.config.maxReadLength;
+
+      if (!contiguous || !fits) {
+        span = { address: register.address, length: 0, registers: [] };
+        spans.push(span);
+      }
+
+      span.registers.push({ name, register, offset: span.length });
+      span.length += register.length;
+    }
+
+    return spans;
+  }
+
+  /**
+   * Describe a read span for log messages
+   * @param {Object} span - Span from planReads()
+   * @returns {string}
+   */
+  describeSpan(span) {
+    if (span.registers.length === 1) {
+      return `register ${span.registers[0].name}`;
+    }
+
+    const hex = (address) => `0x${address.toString(16).padStart(4, '0').toUpperCase()}`;
+    return `registers ${hex(span.address)}-${hex(span.address + span.length - 1)} (${span.registers.map(r => r.name).join(', ')})`;
+  }
+
   /**
    * Parse register value from buffer based on register type
    * @param {Object} register - Register definition
@@ -311,7 +738,7 @@ export class ModbusClient extends EventEmitter {
             .trim();
 
         default:
-          throw new Error(`Unknown register type: ${register.type}`);
+          throw modbusError('EVALIDATION', `Unknown register type: ${register.type}`);
       }
     } catch (error) {
       this.logger.error(`Error parsing register value: ${error.message}`);
@@ -359,10 +786,14 @@ export class ModbusClient extends EventEmitter {
           return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
 
         default:
-          throw new Error(`Cannot encode type: ${register.type}`);
+          throw modbusError('EVALIDATION', `Cannot encode type: ${register.type}`);
       }
     } catch (error) {
       this.logger.error(`Error encoding register value: ${error.message}`);
+      // Buffer range errors for values that do not fit the register type
+      if (!MODBUS_ERRORS[error.code]) {
+        error.code = 'EVALIDATION';
+      }
       throw error;
     }
   }
@@ -378,10 +809,8 @@ export class ModbusClient extends EventEmitter {
 
     this.logger.info('Starting heartbeat transmission (0x55AA every 10s)...');
 
-    // Wait 2 seconds before sending first heartbeat to avoid collision with device info reads
-    setTimeout(() => {
-      this.sendHeartbeat();
-    }, 2000);
+    // Send the first heartbeat right away; the bus queue serialises it with other requests
+    this.sendHeartbeat();
 
     // Then send every 9 seconds (slightly faster than 10s requirement for safety)
     this.heartbeatInterval = setInterval(() => {
@@ -405,13 +834,147 @@ export class ModbusClient extends EventEmitter {
    */
   async sendHeartbeat() {
     try {
-      await this.writeRegister('HEARTBEAT_EM', 0x55AA);
+      await this.writeRegister('HEARTBEAT_EM', 0x55AA, PRIORITY.HEARTBEAT);
+      this.stats.heartbeatSuccess++;
       this.logger.debug('Heartbeat sent successfully');
     } catch (error) {
+      this.stats.heartbeatFailure++;
       this.logger.error(`Failed to send heartbeat: ${error.message}`);
     }
   }
 
+  /**
+   * Restart the device with SYSTEM_RESTART and re-initialise the connection once it answers again.
+   * Heartbeat and connection monitoring are paused meanwhile; requests fail with 'Not connected'.
+   * @param {Object} [options] - Restart options
+   * @param {number} [options.timeout] - Maximum time to wait for the device in ms (default: 120000)
+   * @param {number} [options.pollInterval] - Interval between probes in ms (default: 2000)
+   * @returns {Promise<number>} - Time until the device answered again in ms
+   */
+  async restartDevice({ timeout = 120000, pollInterval = 2000 } = {}) {
+    if (this.restarting) {
+      throw new Error('A restart is already in progress');
+    }
+    if (!this.isConnected) {
+      throw modbusError('EPORTCLOSED', 'Not connected to Modbus device');
+    }
+
+    const register = REGISTERS.SYSTEM_RESTART;
+    const heartbeatRunning = this.heartbeatInterval !== null;
+
+    this.restarting = true;
+    this.stopHeartbeat();
+    this.stopConnectionMonitoring();
+
+    const started = Date.now();
+
+    try {
+      // Sent once without retries: a repeated command could restart the device a second time
+      await this.queue.enqueue(
+        () => this.countRequest(() => this.client.writeRegister(register.address, register.writeValue)),
+        { priority: PRIORITY.CONTROL, label: 'write register SYSTEM_RESTART' }
+      );
+    } catch (error) {
+      // The device may reboot before it answers the write
+      if (classifyError(error) !== 'ETIMEDOUT') {
+        this.restarting = false;
+        this.startConnectionMonitoring();
+        if (heartbeatRunning) {
+          this.startHeartbeat();
+        }
+        this.logger.error(`Error sending restart command: ${error.message}`);
+        throw error;
+      }
+      this.logger.warn('Restart command was not answered, assuming the device is rebooting');
+    }
+
+    this.logger.info(`Restart command sent, waiting up to ${timeout / 1000}s for the device...`);
+    this.isConnected = false;
+    this.emit('restarting');
+
+    // Only this device reboots, other chargers on the bus keep the port
+    if (!this.busInUse()) {
+      this.queue.clear('device restarting');
+
+      if (this.client.isOpen) {
+        await this.bus.close();
+      }
+    }
+
+    while (Date.now() - started < timeout) {
+      await this.delay(pollInterval);
+
+      if (await this.probeRestartedDevice()) {
+        const rebootTime = Date.now() - started;
+
+        this.isConnected = true;
+        this.restarting = false;
+        this.logger.info(`Device is back after ${(rebootTime / 1000).toFixed(1)}s, connection re-initialised`);
+        this.emit('connected');
+        this.startConnectionMonitoring();
+        if (heartbeatRunning) {
+          this.startHeartbeat();
+        }
+        // A firmware update is applied with a restart
+        await this.detectModbusVersion();
+
+        return rebootTime;
+      }
+    }
+
+    // Hand over to the regular reconnection logic
+    this.restarting = false;
+    if (heartbeatRunning) {
+      this.startHeartbeat();
+    }
+    this.emit('connectionLost');
+    this.scheduleReconnect();
+    throw modbusError('ETIMEDOUT', `Device did not answer within ${timeout / 1000}s after the restart`);
+  }
+
+  /**
+   * Reopen the transport and check whether the device has finished booting
+   * @returns {Promise<boolean>} - true if the device answers and its EVSE state is initialised
+   */
+  async probeRestartedDevice() {
+    try {
+      await this.bus.open();
+
+      const data = await this.queue.enqueue(
+        () => this.countRequest(() => this.client.readHoldingRegisters(REGISTERS.EVSE_STATE.address, 1)),
+        { priority: PRIORITY.CONTROL, label: 'read register EVSE_STATE (restart probe)' }
+      );
+
+      // EVSE_STATE 0 = not initialized, still booting
+      return data.data[0] !== 0;
+    } catch (error) {
+      this.logger.debug(`Device not back yet: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Run a single transaction on the wire and count its outcome
+   * @param {Function} transaction - Function returning the modbus-serial promise
+   * @returns {Promise<any>}
+   */
+  async countRequest(transaction) {
+    this.stats.requests++;
+
+    try {
+      // The bus may be shared with other chargers, address this one
+      this.client.setID(this.config.slaveId);
+
+      return await transaction();
+    } catch (error) {
+      this.stats.errors++;
+      if (classifyError(error) === 'ETIMEDOUT') {
+        this.stats.timeouts++;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
@@ -421,6 +984,22 @@ export class ModbusClient extends EventEmitter {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Get bus queue depth and wait time statistics
+   * @returns {Object}
+   */
+  getQueueStats() {
+    return this.queue.getStats();
+  }
+
+  /**
+   * Get request, retry, timeout, reconnect and heartbeat counters
+   * @returns {Object}
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
   /**
    * Get connection status
    * @returns {boolean}
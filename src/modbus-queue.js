@@ -0,0 +1,209 @@
+/**
+ * Modbus Request Queue
+ * Serialises all transactions on a bus so that only one request is on the wire at a time
+ */
+
+/**
+ * Request priorities (lower value = served first)
+ */
+export const PRIORITY = {
+  HEARTBEAT: 0, // Must go out on time or the charger falls back to master lost mode
+  CONTROL: 1, // Writes issued by control commands
+  NORMAL: 2, // Regular reads (RPC calls)
+  BACKGROUND: 3 // Connection probes and other housekeeping
+};
+
+const PRIORITY_NAMES = Object.fromEntries(
+  Object.entries(PRIORITY).map(([name, value]) => [value, name.toLowerCase()])
+);
+
+export class ModbusQueue {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {number} config.interFrameDelay - Silent time between two transactions in ms (default: 10)
+   * @param {number} config.requestDeadline - Maximum time a request may wait in the queue in ms (default: 10000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      interFrameDelay: config.interFrameDelay ?? 10,
+      requestDeadline: config.requestDeadline || 10000
+    };
+
+    this.logger = logger;
+    this.pending = [];
+    this.active = null;
+    this.running = false;
+    this.sequence = 0;
+
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      expired: 0,
+      maxDepth: 0,
+      lastWait: 0,
+      maxWait: 0,
+      totalWait: 0,
+      byPriority: {}
+    };
+  }
+
+  /**
+   * Queue a transaction
+   * @param {Function} transaction - Async function performing exactly one Modbus request
+   * @param {Object} [options] - Request options
+   * @param {number} [options.priority] - One of PRIORITY (default: PRIORITY.NORMAL)
+   * @param {number} [options.deadline] - Maximum wait in the queue in ms (default: config.requestDeadline)
+   * @param {string} [options.label] - Description used in log and error messages
+   * @returns {Promise<any>} - Result of the transaction
+   */
+  enqueue(transaction, options = {}) {
+    const priority = options.priority ?? PRIORITY.NORMAL;
+    const deadline = options.deadline || this.config.requestDeadline;
+    const label = options.label || 'request';
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        transaction,
+        priority,
+        label,
+        resolve,
+        reject,
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+        timer: null
+      };
+
+      // Reject requests that could not be started before their deadline
+      job.timer = setTimeout(() => {
+        const index = this.pending.indexOf(job);
+        if (index !== -1) {
+          this.pending.splice(index, 1);
+          this.stats.expired++;
+          this.logger.warn(`Modbus queue: ${label} expired after ${deadline}ms (depth ${this.pending.length})`);
+
+          const error = new Error(`Request deadline exceeded: ${label} waited ${deadline}ms in the bus queue`);
+          error.code = 'EDEADLINE';
+          reject(error);
+        }
+      }, deadline);
+
+      // Insert behind all requests of the same or higher priority (FIFO within a priority)
+      const index = this.pending.findIndex(other => other.priority > priority);
+      if (index === -1) {
+        this.pending.push(job);
+      } else {
+        this.pending.splice(index, 0, job);
+      }
+
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.pending.length);
+      this.drain();
+    });
+  }
+
+  /**
+   * Process queued transactions one at a time
+   */
+  async drain() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    while (this.pending.length > 0) {
+      const job = this.pending.shift();
+      clearTimeout(job.timer);
+
+      this.recordWait(job);
+      this.active = job;
+
+      try {
+        job.resolve(await job.transaction());
+        this.stats.processed++;
+      } catch (error) {
+        this.stats.failed++;
+        job.reject(error);
+      }
+
+      this.active = null;
+
+      // Keep the bus silent between frames
+      if (this.config.interFrameDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.config.interFrameDelay));
+      }
+    }
+
+    this.running = false;
+  }
+
+  /**
+   * Record how long a job waited before being put on the wire
+   * @param {Object} job - Dequeued job
+   */
+  recordWait(job) {
+    const wait = Date.now() - job.enqueuedAt;
+    const name = PRIORITY_NAMES[job.priority] || String(job.priority);
+    const entry = this.stats.byPriority[name] || (this.stats.byPriority[name] = { count: 0, totalWait: 0, maxWait: 0 });
+
+    entry.count++;
+    entry.totalWait += wait;
+    entry.maxWait = Math.max(entry.maxWait, wait);
+
+    this.stats.lastWait = wait;
+    this.stats.maxWait = Math.max(this.stats.maxWait, wait);
+    this.stats.totalWait += wait;
+  }
+
+  /**
+   * Reject all pending requests (e.g. on disconnect)
+   * @param {string} reason - Reason passed in the rejection error
+   */
+  clear(reason) {
+    const jobs = this.pending.splice(0);
+
+    for (const job of jobs) {
+      clearTimeout(job.timer);
+      const error = new Error(`Request cancelled: ${reason}`);
+      error.code = 'ECANCELLED';
+      job.reject(error);
+    }
+  }
+
+  /**
+   * Get queue depth and wait time statistics
+   * @returns {Object} Queue statistics (times in ms)
+   */
+  getStats() {
+    const started = Object.values(this.stats.byPriority).reduce((sum, entry) => sum + entry.count, 0);
+    const byPriority = {};
+
+    for (const [name, entry] of Object.entries(this.stats.byPriority)) {
+      byPriority[name] = {
+        count: entry.count,
+        averageWait: Math.round(entry.totalWait / entry.count),
+        maxWait: entry.maxWait
+      };
+    }
+
+    return {
+      depth: this.pending.length,
+      maxDepth: this.stats.maxDepth,
+      busy: this.active !== null,
+      activeRequest: this.active ? this.active.label : null,
+      processed: this.stats.processed,
+      failed: this.stats.failed,
+      expired: this.stats.expired,
+      wait: {
+        last: this.stats.lastWait,
+        average: started > 0 ? Math.round(this.stats.totalWait / started) : 0,
+        max: this.stats.maxWait
+      },
+      byPriority,
+      interFrameDelay: this.config.interFrameDelay,
+      requestDeadline: this.config.requestDeadline
+    };
+  }
+}
+
+export default ModbusQueue;
@@ -0,0 +1,387 @@
+/**
+ * MQTT Bridge
+ * Publishes charger readings as retained MQTT topics, accepts commands and
+ * announces the charger to Home Assistant via MQTT discovery
+ */
+
+import mqtt from 'mqtt';
+import { MODBUS_CONFIG } from './registers.js';
+
+const COMMANDS = ['start', 'stop', 'charging', 'current', 'phases', 'lock'];
+const TRUE_PAYLOADS = ['on', 'true', '1', 'lock'];
+const FALSE_PAYLOADS = ['off', 'false', '0', 'unlock'];
+
+/**
+ * Home Assistant sensors: [object ID, name, state topic below the base topic, extra discovery fields]
+ */
+const SENSORS = [
+  ['evse_state', 'EVSE State', 'status/evseStateText', { icon: 'mdi:ev-station' }],
+  ['cp_state', 'CP State', 'status/cpStateText', { icon: 'mdi:car-electric' }],
+  ['signaled_current', 'Signaled Current', 'status/signaledCurrent', { unit_of_measurement: 'A', device_class: 'current', state_class: 'measurement' }],
+  ['power', 'Power', 'measurements/power/total', { unit_of_measurement: 'W', device_class: 'power', state_class: 'measurement' }],
+  ...[1, 2, 3].flatMap(phase => [
+    [`power_l${phase}`, `Power L${phase}`, `measurements/power/l${phase}`, { unit_of_measurement: 'W', device_class: 'power', state_class: 'measurement' }],
+    [`current_l${phase}`, `Current L${phase}`, `measurements/current/l${phase}`, { unit_of_measurement: 'A', device_class: 'current', state_class: 'measurement' }],
+    [`voltage_l${phase}`, `Voltage L${phase}`, `measurements/voltage/l${phase}`, { unit_of_measurement: 'V', device_class: 'voltage', state_class: 'measurement' }]
+  ]),
+  ['temperature', 'Temperature', 'measurements/temperature', { unit_of_measurement: '°C', device_class: 'temperature', state_class: 'measurement' }],
+  ['session_energy', 'Session Energy', 'session/chargedEnergy', { unit_of_measurement: 'kWh', device_class: 'energy', state_class: 'total' }],
+  ['total_energy', 'Total Energy', 'session/energy/total', { unit_of_measurement: 'kWh', device_class: 'energy', state_class: 'total_increasing' }],
+  ['session_duration', 'Session Duration', 'session/duration', { unit_of_measurement: 's', device_class: 'duration' }],
+  ['error_code', 'Active Error Code', 'diagnostics/activeErrorCode', { icon: 'mdi:alert-circle-outline', entity_category: 'diagnostic' }]
+];
+
+export class MqttBridge {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {TelemetryPoller} telemetry - Shared telemetry poller
+   * @param {Object} config - MQTT configuration
+   * @param {string} config.url - Broker URL (default: 'mqtt://localhost:1883')
+   * @param {string} [config.username] - Broker user name
+   * @param {string} [config.password] - Broker password
+   * @param {string} config.clientId - MQTT client ID (default: 'amtron-rpc')
+   * @param {string} config.baseTopic - Topic prefix (default: 'amtron')
+   * @param {boolean} config.discovery - Publish Home Assistant discovery payloads (default: true)
+   * @param {string} config.discoveryPrefix - Home Assistant discovery prefix (default: 'homeassistant')
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, telemetry, config, logger) {
+    this.controller = controller;
+    this.telemetry = telemetry;
+    this.config = {
+      url: config.url || 'mqtt://localhost:1883',
+      username: config.username || undefined,
+      password: config.password || undefined,
+      clientId: config.clientId || 'amtron-rpc',
+      baseTopic: (config.baseTopic || 'amtron').replace(/\/+$/, ''),
+      discovery: config.discovery !== false,
+      discoveryPrefix: config.discoveryPrefix || 'homeassistant'
+    };
+    this.logger = logger;
+
+    this.client = null;
+    this.device = null;
+    this.published = new Map();
+    this.onMessage = message => this.publishReading(message);
+  }
+
+  /**
+   * Topic below the base topic
+   * @param {string} suffix - Topic suffix
+   * @returns {string}
+   */
+  topic(suffix) {
+    return `${this.config.baseTopic}/${suffix}`;
+  }
+
+  /**
+   * Connect to the broker and start publishing
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.client = mqtt.connect(this.config.url, {
+      clientId: this.config.clientId,
+      username: this.config.username,
+      password: this.config.password,
+      will: { topic: this.topic('availability'), payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => this.handleConnect());
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload.toString())
+      .catch(error => this.logger.error(`MQTT: handling ${topic} failed: ${error.message}`)));
+    this.client.on('reconnect', () => this.logger.info('MQTT: reconnecting...'));
+    this.client.on('error', error => this.logger.error(`MQTT error: ${error.message}`));
+
+    // Readings are taken from the shared poller
+    this.telemetry.on('message', this.onMessage);
+    for (const name of this.telemetry.getTopics()) {
+      this.telemetry.subscribe(name);
+    }
+
+    this.logger.info(`MQTT bridge started (${this.config.url}, base topic ${this.config.baseTopic})`);
+  }
+
+  /**
+   * Publish offline state and disconnect
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.telemetry.off('message', this.onMessage);
+    for (const name of this.telemetry.getTopics()) {
+      this.telemetry.unsubscribe(name);
+    }
+
+    if (this.client) {
+      if (this.client.connected) {
+        await this.client.publishAsync(this.topic('availability'), 'offline', { retain: true, qos: 1 });
+      }
+      await this.client.endAsync();
+      this.client = null;
+    }
+
+    this.logger.info('MQTT bridge stopped');
+  }
+
+  /**
+   * (Re)announce the device after every (re)connect
+   * @returns {Promise<void>}
+   */
+  async handleConnect() {
+    this.logger.info(`MQTT: connected to ${this.config.url}`);
+
+    try {
+      await this.client.subscribeAsync(this.topic('command/+'));
+      if (this.config.discovery) {
+        // Home Assistant asks for discovery payloads again after it restarts
+        await this.client.subscribeAsync(`${this.config.discoveryPrefix}/status`);
+      }
+
+      await this.publishDevice();
+      if (this.config.discovery) {
+        await this.publishDiscovery();
+      }
+
+      // Retained readings may have been lost if the broker does not persist them
+      for (const [topic, payload] of this.published) {
+        this.client.publish(topic, payload, { retain: true });
+      }
+
+      await this.client.publishAsync(this.topic('availability'), 'online', { retain: true, qos: 1 });
+    } catch (error) {
+      this.logger.error(`MQTT: announcing device failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish device information and configuration (read once)
+   * @returns {Promise<void>}
+   */
+  async publishDevice() {
+    if (!this.device) {
+      this.device = {
+        info: await this.controller.getDeviceInfo(),
+        configuration: await this.controller.getConfiguration()
+      };
+    }
+
+    this.publishValues('device', this.device.info);
+    this.publishValues('configuration', this.device.configuration);
+  }
+
+  /**
+   * Publish a telemetry message as one retained topic per value
+   * @param {Object} message - Telemetry message
+   */
+  publishReading(message) {
+    if (!this.client) {
+      return;
+    }
+    this.publishValues(message.topic, message.data);
+  }
+
+  /**
+   * Publish an object as retained topics (nested keys become topic levels, unchanged values are skipped)
+   * @param {string} prefix - Topic path below the base topic
+   * @param {any} value - Value or object
+   */
+  publishValues(prefix, value) {
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    if (typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key !== 'unit') {
+          this.publishValues(`${prefix}/${key}`, child);
+        }
+      }
+      return;
+    }
+
+    const topic = this.topic(prefix);
+    const payload = String(value);
+
+    if (this.published.get(topic) !== payload) {
+      this.published.set(topic, payload);
+      if (this.client.connected) {
+        this.client.publish(topic, payload, { retain: true });
+      }
+    }
+  }
+
+  /**
+   * Handle incoming command and Home Assistant status messages
+   * @param {string} topic - Topic
+   * @param {string} payload - Payload
+   * @returns {Promise<void>}
+   */
+  async handleMessage(topic, payload) {
+    if (topic === `${this.config.discoveryPrefix}/status`) {
+      if (payload === 'online' && this.config.discovery) {
+        await this.publishDiscovery().catch(error => this.logger.error(`MQTT: discovery failed: ${error.message}`));
+      }
+      return;
+    }
+
+    const command = topic.slice(this.topic('command/').length);
+    if (!COMMANDS.includes(command)) {
+      this.logger.warn(`MQTT: unknown command topic ${topic}`);
+      return;
+    }
+
+    const result = { command, payload, success: true, data: null, error: null, timestamp: null };
+
+    try {
+      this.logger.info(`MQTT: command ${command} ${payload}`);
+      result.data = await this.runCommand(command, payload.trim());
+
+      // Show the new control state without waiting for the next poll
+      this.telemetry.poll('control');
+    } catch (error) {
+      this.logger.error(`MQTT: command ${command} failed: ${error.message}`);
+      result.success = false;
+      result.error = error.message;
+    }
+
+    // The bridge may have been stopped while the command ran
+    if (!this.client) {
+      return;
+    }
+
+    result.timestamp = new Date().toISOString();
+    this.client.publish(this.topic('commandResult'), JSON.stringify(result));
+  }
+
+  /**
+   * Execute a command
+   * @param {string} command - Command name
+   * @param {string} payload - Command payload
+   * @returns {Promise<Object>} Confirmed control values returned by the controller
+   */
+  async runCommand(command, payload) {
+    switch (command) {
+      case 'start':
+        return this.controller.startCharging(payload ? this.parseCurrent(payload) : 6);
+      case 'stop':
+        return this.controller.stopCharging();
+      case 'charging':
+        return this.parseSwitch(payload) ? this.controller.startCharging(6) : this.controller.stopCharging();
+      case 'current':
+        return this.controller.setChargingCurrent(this.parseCurrent(payload));
+      case 'phases': {
+        const phases = { all: 0, '0': 0, '3': 0, single: 1, '1': 1 }[payload.toLowerCase()];
+        if (phases === undefined) {
+          throw new Error('Phases payload must be "all" or "single"');
+        }
+        return this.controller.setRequestedPhases(phases);
+      }
+      case 'lock':
+        return this.controller.setLock(this.parseSwitch(payload));
+    }
+  }
+
+  /**
+   * Parse a current payload
+   * @param {string} payload - Payload
+   * @returns {number} Current in A
+   */
+  parseCurrent(payload) {
+    const current = Number(payload);
+    if (payload === '' || !Number.isFinite(current)) {
+      throw new Error('Current payload must be a number');
+    }
+    return current;
+  }
+
+  /**
+   * Parse an on/off payload
+   * @param {string} payload - Payload
+   * @returns {boolean}
+   */
+  parseSwitch(payload) {
+    const value = payload.toLowerCase();
+    if (TRUE_PAYLOADS.includes(value)) {
+      return true;
+    }
+    if (FALSE_PAYLOADS.includes(value)) {
+      return false;
+    }
+    throw new Error('Payload must be ON or OFF');
+  }
+
+  /**
+   * Publish Home Assistant discovery payloads for all entities
+   * @returns {Promise<void>}
+   */
+  async publishDiscovery() {
+    const info = this.device?.info || {};
+    const nodeId = `amtron_${String(info.serialNumber || this.config.clientId).replace(/[^a-zA-Z0-9_-]/g, '')}`;
+    const device = {
+      identifiers: [nodeId],
+      name: 'Mennekes Amtron',
+      manufacturer: 'MENNEKES',
+      model: 'Amtron',
+      serial_number: info.serialNumber,
+      sw_version: info.firmwareVersion
+    };
+    const common = {
+      device,
+      availability_topic: this.topic('availability'),
+      origin: { name: 'mennekes-amtron-rpc' }
+    };
+
+    const entities = [
+      ...SENSORS.map(([id, name, path, extra]) => ['sensor', id, { name, state_topic: this.topic(path), ...extra }]),
+      ['switch', 'charging', {
+        name: 'Charging',
+        icon: 'mdi:ev-plug-type2',
+        command_topic: this.topic('command/charging'),
+        state_topic: this.topic('control/chargingReleased'),
+        payload_on: 'ON',
+        payload_off: 'OFF',
+        state_on: 'true',
+        state_off: 'false'
+      }],
+      ['switch', 'lock', {
+        name: 'Lock',
+        icon: 'mdi:lock',
+        command_topic: this.topic('command/lock'),
+        state_topic: this.topic('control/locked'),
+        payload_on: 'ON',
+        payload_off: 'OFF',
+        state_on: 'true',
+        state_off: 'false'
+      }],
+      ['switch', 'single_phase', {
+        name: 'Single Phase Charging',
+        icon: 'mdi:sine-wave',
+        command_topic: this.topic('command/phases'),
+        state_topic: this.topic('control/requestedPhases'),
+        payload_on: 'single',
+        payload_off: 'all',
+        state_on: '1',
+        state_off: '0'
+      }],
+      ['number', 'charging_current', {
+        name: 'Charging Current',
+        icon: 'mdi:current-ac',
+        command_topic: this.topic('command/current'),
+        state_topic: this.topic('control/chargingCurrent'),
+        min: MODBUS_CONFIG.MIN_CHARGING_CURRENT,
+        max: MODBUS_CONFIG.MAX_CHARGING_CURRENT,
+        step: 1,
+        unit_of_measurement: 'A',
+        mode: 'slider'
+      }]
+    ];
+
+    for (const [component, id, config] of entities) {
+      const payload = { ...common, ...config, unique_id: `${nodeId}_${id}`, object_id: `${nodeId}_${id}` };
+      await this.client.publishAsync(`${this.config.discoveryPrefix}/${component}/${nodeId}/${id}/config`, JSON.stringify(payload), { retain: true });
+    }
+
+    this.logger.info(`MQTT: published Home Assistant discovery for ${entities.length} entities`);
+  }
+}
+
+export default MqttBridge;
@@ -782,6 +782,41 @@ export function getRegisterByAddress(address) {
   return Object.values(REGISTERS).find(reg => reg.address === address) || null;
 }
 
+/**
+ * Register layout versions are encoded like MODBUS_VERSION: the major number in the high byte, then the
+ * minor and patch number in one nibble each (0x103 = 1.0.3, 0x110 = 1.1.0). The version strings of the
+ * register documentation use the same digits: 'v01.03' is 1.0.3 and 'v01.10' is 1.1.0.
+ */
+
+/**
+ * Parse a register version string (e.g. 'v01.03') into the MODBUS_VERSION format (0x103)
+ * @param {string} version - Register version string ('vMM.mp': major, minor and patch number)
+ * @returns {number}
+ */
+export function parseRegisterVersion(version) {
+  const [major, minorPatch] = version.replace(/^v/, '').split('.');
+  return (parseInt(major, 10) << 8) | parseInt(minorPatch, 16);
+}
+
+/**
+ * Format a MODBUS_VERSION value (0x103) as '1.0.3'
+ * @param {number} version - MODBUS_VERSION value
+ * @returns {string}
+ */
+export function formatModbusVersion(version) {
+  return `${(version >> 8) & 0xFF}.${(version >> 4) & 0x0F}.${version & 0x0F}`;
+}
+
+/**
+ * Check whether a device with the given register layout version has a register
+ * @param {RegisterDefinition} register - Register definition
+ * @param {number} modbusVersion - MODBUS_VERSION reported by the device (e.g. 0x103)
+ * @returns {boolean}
+ */
+export function isRegisterSupported(register, modbusVersion) {
+  return parseRegisterVersion(register.version) <= modbusVersion;
+}
+
 /**
  * Get all readable registers
  * @returns {Array<RegisterDefinition>}
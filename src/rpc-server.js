@@ -5,60 +5,441 @@
 
 import jayson from 'jayson/promise/index.js';
 import http from 'http';
+import fs from 'fs';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics-exporter.js';
+import { roleAllows } from './api-keys.js';
+import { MODBUS_ERRORS, modbusError } from './modbus-client.js';
+import { DELIVERY_STATUSES } from './webhook-log.js';
+
+/**
+ * Application specific JSON-RPC error codes
+ */
+export const RPC_ERRORS = {
+  SERVER_ERROR: -32000, // Any other error
+  UNAUTHORIZED: -32001, // Missing or unknown API key
+  FORBIDDEN: -32003, // The role of the API key does not allow the method
+  NOT_FOUND: -32004, // Unknown session, schedule window or webhook
+  MODBUS_TIMEOUT: -32010, // The charger did not answer
+  MODBUS_CRC: -32011, // Corrupted response
+  PORT_CLOSED: -32012, // Not connected to the charger
+  QUEUE_DEADLINE: -32013, // The request waited too long for the bus
+  REQUEST_CANCELLED: -32014, // The request was removed from the bus queue (disconnect, restart)
+  MODBUS_EXCEPTION: -32020, // Modbus exception 5 and up (device busy, gateway errors)
+  ILLEGAL_FUNCTION: -32021, // Modbus exception 1
+  ILLEGAL_ADDRESS: -32022, // Modbus exception 2
+  ILLEGAL_VALUE: -32023, // Modbus exception 3
+  DEVICE_FAILURE: -32024, // Modbus exception 4
+  UNSUPPORTED: -32030, // Register not in the register layout of the charger
+  WRITE_NOT_CONFIRMED: -32031, // Write verification failed
+  INVALID_PARAMS: -32602 // Validation error
+};
+
+/**
+ * JSON-RPC error code by ModbusClient error code (see MODBUS_ERRORS)
+ */
+const ERROR_CODES = {
+  ETIMEDOUT: RPC_ERRORS.MODBUS_TIMEOUT,
+  ECRC: RPC_ERRORS.MODBUS_CRC,
+  EPORTCLOSED: RPC_ERRORS.PORT_CLOSED,
+  EDEADLINE: RPC_ERRORS.QUEUE_DEADLINE,
+  ECANCELLED: RPC_ERRORS.REQUEST_CANCELLED,
+  EEXCEPTION: RPC_ERRORS.MODBUS_EXCEPTION,
+  EILLEGALFUNCTION: RPC_ERRORS.ILLEGAL_FUNCTION,
+  EILLEGALADDRESS: RPC_ERRORS.ILLEGAL_ADDRESS,
+  EILLEGALVALUE: RPC_ERRORS.ILLEGAL_VALUE,
+  EDEVICEFAILURE: RPC_ERRORS.DEVICE_FAILURE,
+  EUNSUPPORTED: RPC_ERRORS.UNSUPPORTED,
+  EVERIFY: RPC_ERRORS.WRITE_NOT_CONFIRMED,
+  EVALIDATION: RPC_ERRORS.INVALID_PARAMS,
+  ENOENTRY: RPC_ERRORS.NOT_FOUND
+};
+
+/**
+ * Methods that only read state and may be called with a monitor key.
+ * All other methods need an operator key.
+ */
+const MONITOR_METHODS = new Set([
+  'ping',
+  'health',
+  'listChargers',
+  'getQueueStats',
+  'getTelemetryStats',
+  'getDeviceInfo',
+  'getCapabilities',
+  'getStatus',
+  'getVoltage',
+  'getCurrent',
+  'getPower',
+  'getChargingPower',
+  'getTemperature',
+  'getEnergy',
+  'getSessionData',
+  'getStatistics',
+  'getSessionGoal',
+  'listSessions',
+  'getSession',
+  'getControlState',
+  'getSurplusState',
+  'listSchedules',
+  'getSchedule',
+  'getSchedulerState',
+  'getLoadGuardState',
+  'getChargingEvents',
+  'getErrorCodes',
+  'getErrorHistory',
+  'getErrorStatistics',
+  'getDiagnostics',
+  'getConfiguration',
+  'listRegisters',
+  'readRegister',
+  'readRegisters',
+  'getSettings',
+  'exportConfig'
+]);
+
+const MAX_BODY_SIZE = 1024 * 1024;
 
 export class RpcServer {
   /**
-   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Array<Object>} chargers - Chargers served; the first one is used when a request has no chargerId
+   * @param {string} chargers[].id - Charger ID
+   * @param {string} chargers[].name - Display name
+   * @param {AmtronController} chargers[].controller - Amtron controller instance
+   * @param {SessionRecorder} [chargers[].sessionRecorder] - Charging session recorder
+   * @param {Scheduler} [chargers[].scheduler] - Charging scheduler
+   * @param {TelemetryPoller} [chargers[].telemetry] - Shared telemetry poller for the event stream
+   * @param {ConfigBackup} [chargers[].configBackup] - Configuration backup and restore
+   * @param {ErrorRecorder} [chargers[].errorRecorder] - Error history
    * @param {Object} config - Server configuration
    * @param {number} config.port - Server port (default: 8080)
+   * @param {string} [config.host] - Bind address (default: all interfaces)
+   * @param {Object} [config.tls] - Serve HTTPS instead of HTTP
+   * @param {string} config.tls.cert - Path of the PEM certificate (chain)
+   * @param {string} config.tls.key - Path of the PEM private key
+   * @param {string} [config.tls.ca] - Path of the PEM CA bundle used to verify client certificates
+   * @param {boolean} [config.tls.clientAuth] - Require a client certificate signed by config.tls.ca (mTLS) (default: false)
    * @param {Object} logger - Winston logger instance
+   * @param {Object} [services] - Optional subsystems
+   * @param {MetricsExporter} [services.metrics] - Prometheus metrics exporter
+   * @param {ApiKeyStore} [services.apiKeys] - API keys; when set every request must be authenticated
+   * @param {WebhookDispatcher} [services.webhooks] - Webhook notifications
    */
-  constructor(controller, config, logger) {
-    this.controller = controller;
+  constructor(chargers, config, logger, services = {}) {
+    if (chargers.length === 0) {
+      throw new Error('At least one charger is required');
+    }
+
+    this.chargers = chargers;
     this.config = config;
     this.logger = logger;
+    this.metrics = services.metrics || null;
+    this.apiKeys = services.apiKeys || null;
+    this.webhooks = services.webhooks || null;
     this.server = null;
     this.httpServer = null;
+    this.streamClients = new Set();
+    this.keepAliveTimer = null;
+
+    // Requests without a chargerId go to the first charger
+    Object.assign(this, this.chargerServices(chargers[0]));
 
-    // Create Jayson server with methods
-    this.server = jayson.Server({
+    // One listener per charger fans out to the event stream clients of that charger
+    for (const charger of chargers) {
+      if (charger.telemetry) {
+        charger.telemetry.on('message', message => this.broadcast(charger.id, message));
+      }
+    }
+
+    // One method table per charger; the chargerId parameter selects the table
+    const tables = new Map(this.chargers.map(charger => [charger.id, this.createMethods(this.forCharger(charger))]));
+    const methods = {
+      listChargers: this.wrapMethod(this.handleListChargers.bind(this)),
+
+      // Webhook methods (operator only: URLs may contain tokens)
+      listWebhooks: this.wrapMethod(this.handleListWebhooks.bind(this)),
+      listWebhookDeliveries: this.wrapMethod(this.handleListWebhookDeliveries.bind(this)),
+      testWebhook: this.wrapMethod(this.handleTestWebhook.bind(this))
+    };
+
+    for (const name of Object.keys(tables.get(this.chargers[0].id))) {
+      methods[name] = (args) => {
+        const { charger, params } = this.selectCharger(args);
+        return tables.get(charger.id)[name](params);
+      };
+    }
+
+    this.server = jayson.Server(this.guardMethods(methods), { useContext: true });
+  }
+
+  /**
+   * Build the method table for one charger
+   * @param {RpcServer} scope - Server view of the charger (see forCharger)
+   * @returns {Object} Method table
+   */
+  createMethods(scope) {
+    return {
       // Health check
-      ping: this.handlePing.bind(this),
-      health: this.handleHealth.bind(this),
+      ping: scope.handlePing.bind(scope),
+      health: scope.handleHealth.bind(scope),
+      getQueueStats: scope.wrapMethod(scope.handleGetQueueStats.bind(scope)),
+      getTelemetryStats: scope.wrapMethod(scope.handleGetTelemetryStats.bind(scope)),
 
       // Device information
-      getDeviceInfo: this.wrapMethod(this.controller.getDeviceInfo.bind(this.controller)),
+      getDeviceInfo: scope.wrapMethod(scope.controller.getDeviceInfo.bind(scope.controller)),
+      getCapabilities: scope.wrapMethod(scope.controller.getCapabilities.bind(scope.controller)),
 
       // Status methods
-      getStatus: this.wrapMethod(this.controller.getStatus.bind(this.controller)),
+      getStatus: scope.wrapMethod(scope.controller.getStatus.bind(scope.controller)),
 
       // Measurement methods
-      getVoltage: this.wrapMethod(this.controller.getVoltage.bind(this.controller)),
-      getCurrent: this.wrapMethod(this.controller.getCurrent.bind(this.controller)),
-      getPower: this.wrapMethod(this.controller.getPower.bind(this.controller)),
-      getChargingPower: this.wrapMethod(this.controller.getChargingPower.bind(this.controller)),
-      getTemperature: this.wrapMethod(this.controller.getTemperature.bind(this.controller)),
+      getVoltage: scope.wrapMethod(scope.controller.getVoltage.bind(scope.controller)),
+      getCurrent: scope.wrapMethod(scope.controller.getCurrent.bind(scope.controller)),
+      getPower: scope.wrapMethod(scope.controller.getPower.bind(scope.controller)),
+      getChargingPower: scope.wrapMethod(scope.controller.getChargingPower.bind(scope.controller)),
+      getTemperature: scope.wrapMethod(scope.controller.getTemperature.bind(scope.controller)),
 
       // Energy and session methods
-      getEnergy: this.wrapMethod(this.controller.getEnergy.bind(this.controller)),
-      getSessionData: this.wrapMethod(this.controller.getSessionData.bind(this.controller)),
-      getStatistics: this.wrapMethod(this.controller.getStatistics.bind(this.controller)),
+      getEnergy: scope.wrapMethod(scope.controller.getEnergy.bind(scope.controller)),
+      getSessionData: scope.wrapMethod(scope.controller.getSessionData.bind(scope.controller)),
+      getStatistics: scope.wrapMethod(scope.controller.getStatistics.bind(scope.controller)),
+
+      // Session goal methods
+      setSessionGoal: scope.wrapMethod(scope.handleSetSessionGoal.bind(scope)),
+      clearSessionGoal: scope.wrapMethod(scope.controller.clearSessionGoal.bind(scope.controller)),
+      getSessionGoal: scope.wrapMethod(scope.controller.getSessionGoal.bind(scope.controller)),
+
+      // Session history methods
+      listSessions: scope.wrapMethod(scope.handleListSessions.bind(scope)),
+      getSession: scope.wrapMethod(scope.handleGetSession.bind(scope)),
+      deleteSession: scope.wrapMethod(scope.handleDeleteSession.bind(scope)),
+      deleteSessions: scope.wrapMethod(scope.handleDeleteSessions.bind(scope)),
 
       // Control methods
-      setChargingCurrent: this.wrapMethod(this.handleSetChargingCurrent.bind(this)),
-      startCharging: this.wrapMethod(this.handleStartCharging.bind(this)),
-      stopCharging: this.wrapMethod(this.controller.stopCharging.bind(this.controller)),
-      pauseCharging: this.wrapMethod(this.controller.pauseCharging.bind(this.controller)),
-      resumeCharging: this.wrapMethod(this.handleResumeCharging.bind(this)),
-      setRequestedPhases: this.wrapMethod(this.handleSetRequestedPhases.bind(this)),
-      setLock: this.wrapMethod(this.handleSetLock.bind(this)),
+      setChargingCurrent: scope.wrapMethod(scope.handleSetChargingCurrent.bind(scope)),
+      startCharging: scope.wrapMethod(scope.handleStartCharging.bind(scope)),
+      stopCharging: scope.wrapMethod(scope.controller.stopCharging.bind(scope.controller)),
+      pauseCharging: scope.wrapMethod(scope.controller.pauseCharging.bind(scope.controller)),
+      resumeCharging: scope.wrapMethod(scope.handleResumeCharging.bind(scope)),
+      setRequestedPhases: scope.wrapMethod(scope.handleSetRequestedPhases.bind(scope)),
+      setLock: scope.wrapMethod(scope.handleSetLock.bind(scope)),
+      getControlState: scope.wrapMethod(scope.controller.getControlState.bind(scope.controller)),
+
+      // PV surplus methods
+      enableSurplusMode: scope.wrapMethod(scope.handleEnableSurplusMode.bind(scope)),
+      disableSurplusMode: scope.wrapMethod(scope.handleDisableSurplusMode.bind(scope)),
+      pushGridPower: scope.wrapMethod(scope.handlePushGridPower.bind(scope)),
+      getSurplusState: scope.wrapMethod(scope.controller.getSurplusState.bind(scope.controller)),
+      setSurplusTuning: scope.wrapMethod(scope.handleSetSurplusTuning.bind(scope)),
+
+      // Schedule methods
+      listSchedules: scope.wrapMethod(scope.handleListSchedules.bind(scope)),
+      getSchedule: scope.wrapMethod(scope.handleGetSchedule.bind(scope)),
+      addSchedule: scope.wrapMethod(scope.handleAddSchedule.bind(scope)),
+      updateSchedule: scope.wrapMethod(scope.handleUpdateSchedule.bind(scope)),
+      deleteSchedule: scope.wrapMethod(scope.handleDeleteSchedule.bind(scope)),
+      getSchedulerState: scope.wrapMethod(scope.handleGetSchedulerState.bind(scope)),
+
+      // Load guard methods
+      enableLoadGuard: scope.wrapMethod(scope.handleEnableLoadGuard.bind(scope)),
+      disableLoadGuard: scope.wrapMethod(scope.controller.disableLoadGuard.bind(scope.controller)),
+      pushHouseholdCurrent: scope.wrapMethod(scope.handlePushHouseholdCurrent.bind(scope)),
+      getLoadGuardState: scope.wrapMethod(scope.controller.getLoadGuardState.bind(scope.controller)),
+      setLoadGuardSettings: scope.wrapMethod(scope.handleSetLoadGuardSettings.bind(scope)),
+
+      // Charging monitor methods
+      getChargingEvents: scope.wrapMethod(scope.handleGetChargingEvents.bind(scope)),
+
+      // Error history methods
+      getErrorCodes: scope.wrapMethod(scope.controller.getErrorCodes.bind(scope.controller)),
+      getErrorHistory: scope.wrapMethod(scope.handleGetErrorHistory.bind(scope)),
+      getErrorStatistics: scope.wrapMethod(scope.handleGetErrorStatistics.bind(scope)),
 
       // Diagnostic methods
-      getDiagnostics: this.wrapMethod(this.controller.getDiagnostics.bind(this.controller)),
-      getConfiguration: this.wrapMethod(this.controller.getConfiguration.bind(this.controller))
+      getDiagnostics: scope.wrapMethod(scope.controller.getDiagnostics.bind(scope.controller)),
+      getConfiguration: scope.wrapMethod(scope.controller.getConfiguration.bind(scope.controller)),
+
+      // Maintenance methods
+      restartCharger: scope.wrapMethod(scope.handleRestartCharger.bind(scope)),
+
+      // Register access methods
+      listRegisters: scope.wrapMethod(scope.controller.listRegisters.bind(scope.controller)),
+      readRegister: scope.wrapMethod(scope.handleReadRegister.bind(scope)),
+      readRegisters: scope.wrapMethod(scope.handleReadRegisters.bind(scope)),
+      writeRegister: scope.wrapMethod(scope.handleWriteRegister.bind(scope)),
+
+      // Settings methods
+      getSettings: scope.wrapMethod(scope.controller.getSettings.bind(scope.controller)),
+      updateSettings: scope.wrapMethod(scope.handleUpdateSettings.bind(scope)),
+
+      // Configuration backup methods
+      exportConfig: scope.wrapMethod(scope.handleExportConfig.bind(scope)),
+      importConfig: scope.wrapMethod(scope.handleImportConfig.bind(scope))
+    };
+  }
+
+  /**
+   * Per-charger services
+   * @param {Object} charger - Charger entry
+   * @returns {Object}
+   */
+  chargerServices(charger) {
+    return {
+      charger,
+      controller: charger.controller,
+      sessionRecorder: charger.sessionRecorder || null,
+      scheduler: charger.scheduler || null,
+      telemetry: charger.telemetry || null,
+      configBackup: charger.configBackup || null,
+      errorRecorder: charger.errorRecorder || null
+    };
+  }
+
+  /**
+   * Server view of one charger: the handlers find its controller and services on `this`
+   * @param {Object} charger - Charger entry
+   * @returns {RpcServer}
+   */
+  forCharger(charger) {
+    return Object.assign(Object.create(this), this.chargerServices(charger));
+  }
+
+  /**
+   * Get a charger by ID
+   * @param {string} [chargerId] - Charger ID (default: the first charger)
+   * @returns {Object} Charger entry
+   */
+  getCharger(chargerId) {
+    if (chargerId === undefined || chargerId === null) {
+      return this.chargers[0];
+    }
+
+    const charger = this.chargers.find(entry => entry.id === chargerId);
+    if (!charger) {
+      throw new Error(`Unknown charger "${chargerId}", use one of ${this.chargers.map(entry => entry.id).join(', ')}`);
+    }
+    return charger;
+  }
+
+  /**
+   * Take the chargerId parameter out of the method parameters
+   * @param {Object|Array|undefined} args - JSON-RPC params
+   * @returns {{charger: Object, params: Object|Array|undefined}}
+   */
+  selectCharger(args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args) || !('chargerId' in args)) {
+      return { charger: this.chargers[0], params: args };
+    }
+
+    const { chargerId, ...params } = args;
+
+    try {
+      return { charger: this.getCharger(chargerId), params };
+    } catch (error) {
+      throw this.server.error(-32602, error.message);
+    }
+  }
+
+  /**
+   * Handle listChargers
+   */
+  async handleListChargers() {
+    return this.chargers.map((charger, index) => {
+      const client = charger.controller.client;
+      return {
+        id: charger.id,
+        name: charger.name,
+        transport: client.describeTransport(),
+        slaveId: client.config.slaveId,
+        connected: client.getConnectionStatus(),
+        modbusVersion: client.modbusVersion !== null ? charger.controller.formatModbusVersion(client.modbusVersion) : null,
+        default: index === 0
+      };
     });
   }
 
+  /**
+   * Get the webhook dispatcher or fail if webhooks are disabled
+   * @returns {WebhookDispatcher}
+   */
+  requireWebhooks() {
+    if (!this.webhooks) {
+      throw new Error('Webhooks are disabled');
+    }
+    return this.webhooks;
+  }
+
+  /**
+   * Handle listWebhooks request
+   */
+  async handleListWebhooks() {
+    return this.requireWebhooks().listWebhooks();
+  }
+
+  /**
+   * Handle listWebhookDeliveries with filters and paging
+   */
+  async handleListWebhookDeliveries(params) {
+    const webhooks = this.requireWebhooks();
+    const { webhookId, status, limit, offset } = params || {};
+
+    if (webhookId !== undefined && typeof webhookId !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "webhookId" must be a string');
+    }
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw modbusError('EVALIDATION', `Parameter "status" must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw modbusError('EVALIDATION', 'Parameter "limit" must be a positive integer');
+    }
+    if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+      throw modbusError('EVALIDATION', 'Parameter "offset" must be a non-negative integer');
+    }
+
+    return webhooks.log.list({ webhookId, status, limit, offset });
+  }
+
+  /**
+   * Handle testWebhook with parameter validation
+   */
+  async handleTestWebhook(params) {
+    if (!params || typeof params.id !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "id" is required and must be a string');
+    }
+    if (params.chargerId !== undefined && typeof params.chargerId !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "chargerId" must be a string');
+    }
+
+    const delivery = await this.requireWebhooks().test(params.id, params.chargerId);
+    return {
+      ...delivery,
+      message: delivery.status === 'delivered'
+        ? `Test event delivered to webhook ${params.id}`
+        : `Test event to webhook ${params.id} failed: ${delivery.attempts.at(-1)?.error}`
+    };
+  }
+
+  /**
+   * Put the role check in front of every method
+   * @param {Object} methods - Method table
+   * @returns {Object} Guarded method table
+   */
+  guardMethods(methods) {
+    this.methodRoles = {};
+
+    return Object.fromEntries(Object.entries(methods).map(([name, method]) => {
+      const required = MONITOR_METHODS.has(name) ? 'monitor' : 'operator';
+      this.methodRoles[name] = required;
+
+      return [name, async (args, context) => {
+        if (this.apiKeys && !roleAllows(context.key?.role, required)) {
+          this.logger.warn(`API key ${context.key?.id} (${context.key?.role}) denied access to ${name}`);
+          throw this.server.error(RPC_ERRORS.FORBIDDEN, `Forbidden: ${name} requires the ${required} role`);
+        }
+        return method(args);
+      }];
+    }));
+  }
+
   /**
    * Wrap controller methods with error handling
    * @param {Function} method - Controller method
@@ -75,11 +456,35 @@ export class RpcServer {
         };
       } catch (error) {
         this.logger.error(`RPC method error: ${error.message}`);
-        throw this.server.error(-32000, error.message);
+        throw this.toRpcError(error);
       }
     };
   }
 
+  /**
+   * Map an error to a JSON-RPC error with a code per error type (see RPC_ERRORS).
+   * Errors without a MODBUS_ERRORS code keep the generic -32000.
+   * @param {Error} error - Error thrown by a method
+   * @returns {Object} JSON-RPC error
+   */
+  toRpcError(error) {
+    const code = MODBUS_ERRORS[error.code] ? error.code : null;
+
+    if (!code || !ERROR_CODES[code]) {
+      return this.server.error(RPC_ERRORS.SERVER_ERROR, error.message);
+    }
+
+    const data = { type: code, retryable: MODBUS_ERRORS[code].retryable };
+    if (MODBUS_ERRORS[code].exception !== undefined || error.modbusCode !== undefined) {
+      data.exception = error.modbusCode ?? MODBUS_ERRORS[code].exception;
+    }
+    if (code === 'EVERIFY') {
+      Object.assign(data, { register: error.register, expected: error.expected, actual: error.actual });
+    }
+
+    return this.server.error(ERROR_CODES[code], error.message, data);
+  }
+
   /**
    * Handle ping request
    */
@@ -96,44 +501,82 @@ export class RpcServer {
    */
   async handleHealth() {
     const isConnected = this.controller.client.getConnectionStatus();
+    const queue = this.controller.client.getQueueStats();
     return {
       success: true,
       data: {
         status: isConnected ? 'healthy' : 'disconnected',
         modbusConnected: isConnected,
+        queueDepth: queue.depth,
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
       }
     };
   }
 
+  /**
+   * Handle getQueueStats request (Modbus bus queue depth and wait times)
+   */
+  async handleGetQueueStats() {
+    return this.controller.client.getQueueStats();
+  }
+
+  /**
+   * Handle getTelemetryStats request (event stream clients and poll counters)
+   */
+  async handleGetTelemetryStats() {
+    if (!this.telemetry) {
+      throw new Error('Telemetry event stream is disabled');
+    }
+    return {
+      clients: [...this.streamClients].filter(client => client.chargerId === this.charger.id).length,
+      topics: this.telemetry.getStats()
+    };
+  }
+
+  /**
+   * Handle setSessionGoal with parameter validation
+   */
+  async handleSetSessionGoal(params) {
+    if (!params || (typeof params.energy !== 'number' && typeof params.duration !== 'number')) {
+      throw modbusError('EVALIDATION', 'Parameter "energy" (kWh) and/or "duration" (s) is required and must be a number');
+    }
+    return this.controller.setSessionGoal({ energy: params.energy, duration: params.duration });
+  }
+
   /**
    * Handle setChargingCurrent with parameter validation
    */
   async handleSetChargingCurrent(params) {
-    if (!params || typeof params.ampere !== 'number') {
-      throw new Error('Parameter "ampere" is required and must be a number');
+    if (!params || typeof params.ampere !== 'number' || !Number.isFinite(params.ampere)) {
+      throw modbusError('EVALIDATION', 'Parameter "ampere" is required and must be a number');
     }
-    await this.controller.setChargingCurrent(params.ampere);
-    return { message: `Charging current set to ${params.ampere}A` };
+    const result = await this.controller.setChargingCurrent(params.ampere);
+    return { message: `Charging current set to ${result.chargingCurrent}A`, ...result };
   }
 
   /**
    * Handle startCharging with optional current parameter
    */
   async handleStartCharging(params) {
-    const current = params?.current || 6;
-    await this.controller.startCharging(current);
-    return { message: `Charging started with ${current}A` };
+    const current = params?.current ?? 6;
+    if (typeof current !== 'number' || !Number.isFinite(current)) {
+      throw modbusError('EVALIDATION', 'Parameter "current" must be a number');
+    }
+    const result = await this.controller.startCharging(current);
+    return { message: `Charging started with ${result.chargingCurrent}A`, ...result };
   }
 
   /**
    * Handle resumeCharging with optional current parameter
    */
   async handleResumeCharging(params) {
-    const current = params?.current || 6;
-    await this.controller.resumeCharging(current);
-    return { message: `Charging resumed with ${current}A` };
+    const current = params?.current ?? 6;
+    if (typeof current !== 'number' || !Number.isFinite(current)) {
+      throw modbusError('EVALIDATION', 'Parameter "current" must be a number');
+    }
+    const result = await this.controller.resumeCharging(current);
+    return { message: `Charging resumed with ${result.chargingCurrent}A`, ...result };
   }
 
   /**
@@ -141,10 +584,10 @@ export class RpcServer {
    */
   async handleSetRequestedPhases(params) {
     if (!params || (params.phases !== 0 && params.phases !== 1)) {
-      throw new Error('Parameter "phases" is required and must be 0 (all) or 1 (single)');
+      throw modbusError('EVALIDATION', 'Parameter "phases" is required and must be 0 (all) or 1 (single)');
     }
-    await this.controller.setRequestedPhases(params.phases);
-    return { message: `Requested phases set to ${params.phases === 0 ? 'all' : 'single'}` };
+    const result = await this.controller.setRequestedPhases(params.phases);
+    return { message: `Requested phases set to ${params.phases === 0 ? 'all' : 'single'}`, ...result };
   }
 
   /**
@@ -152,10 +595,631 @@ export class RpcServer {
    */
   async handleSetLock(params) {
     if (!params || typeof params.lock !== 'boolean') {
-      throw new Error('Parameter "lock" is required and must be a boolean');
+      throw modbusError('EVALIDATION', 'Parameter "lock" is required and must be a boolean');
     }
-    await this.controller.setLock(params.lock);
-    return { message: `EVSE ${params.lock ? 'locked' : 'unlocked'}` };
+    const result = await this.controller.setLock(params.lock);
+    return { message: `EVSE ${params.lock ? 'locked' : 'unlocked'}`, ...result };
+  }
+
+  /**
+   * Handle enableSurplusMode with optional tuning parameters
+   */
+  async handleEnableSurplusMode(params) {
+    return this.controller.enableSurplusMode(params || {});
+  }
+
+  /**
+   * Handle disableSurplusMode with optional pause parameter
+   */
+  async handleDisableSurplusMode(params) {
+    if (params?.pause !== undefined && typeof params.pause !== 'boolean') {
+      throw modbusError('EVALIDATION', 'Parameter "pause" must be a boolean');
+    }
+    return this.controller.disableSurplusMode(params?.pause === true);
+  }
+
+  /**
+   * Handle pushGridPower with parameter validation
+   */
+  async handlePushGridPower(params) {
+    if (!params || typeof params.exportPower !== 'number') {
+      throw modbusError('EVALIDATION', 'Parameter "exportPower" is required and must be a number (W, negative when importing)');
+    }
+    return this.controller.pushGridPower(params.exportPower);
+  }
+
+  /**
+   * Handle setSurplusTuning with parameter validation
+   */
+  async handleSetSurplusTuning(params) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw modbusError('EVALIDATION', 'Tuning parameters are required as an object');
+    }
+    return this.controller.setSurplusTuning(params);
+  }
+
+  /**
+   * Handle enableLoadGuard with optional settings
+   */
+  async handleEnableLoadGuard(params) {
+    return this.controller.enableLoadGuard(params || {});
+  }
+
+  /**
+   * Handle pushHouseholdCurrent with parameter validation
+   */
+  async handlePushHouseholdCurrent(params) {
+    if (!params || ['l1', 'l2', 'l3'].some(phase => typeof params[phase] !== 'number')) {
+      throw modbusError('EVALIDATION', 'Parameters "l1", "l2" and "l3" are required and must be numbers (A per grid phase)');
+    }
+    return this.controller.pushHouseholdCurrent(params);
+  }
+
+  /**
+   * Handle setLoadGuardSettings with parameter validation
+   */
+  async handleSetLoadGuardSettings(params) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw modbusError('EVALIDATION', 'Load guard settings are required as an object');
+    }
+    return this.controller.setLoadGuardSettings(params);
+  }
+
+  /**
+   * Handle getChargingEvents with optional filters
+   */
+  async handleGetChargingEvents(params) {
+    const limit = params?.limit ?? 50;
+    const after = params?.after ?? 0;
+    const type = params?.type ?? null;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw modbusError('EVALIDATION', 'Parameter "limit" must be a positive integer');
+    }
+    if (!Number.isInteger(after) || after < 0) {
+      throw modbusError('EVALIDATION', 'Parameter "after" must be an event ID');
+    }
+    if (type !== null && typeof type !== 'string' && !(Array.isArray(type) && type.every(entry => typeof entry === 'string'))) {
+      throw modbusError('EVALIDATION', 'Parameter "type" must be an event type or an array of event types');
+    }
+
+    return this.controller.getChargingEvents({ limit, after, type });
+  }
+
+  /**
+   * Get the error recorder or fail if the error history is disabled
+   * @returns {ErrorRecorder}
+   */
+  requireErrorRecorder() {
+    if (!this.errorRecorder) {
+      throw new Error('Error history is disabled');
+    }
+    return this.errorRecorder;
+  }
+
+  /**
+   * Handle getErrorHistory with optional date range, code and paging
+   */
+  async handleGetErrorHistory(params) {
+    const { code, limit, offset } = params || {};
+
+    if (code !== undefined && (!Number.isInteger(code) || code < 1)) {
+      throw modbusError('EVALIDATION', 'Parameter "code" must be an error code');
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw modbusError('EVALIDATION', 'Parameter "limit" must be a positive integer');
+    }
+    if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+      throw modbusError('EVALIDATION', 'Parameter "offset" must be a non-negative integer');
+    }
+
+    return this.requireErrorRecorder().getHistory({
+      from: this.parseDateParam(params?.from, 'from'),
+      to: this.parseDateParam(params?.to, 'to'),
+      code,
+      limit,
+      offset
+    });
+  }
+
+  /**
+   * Handle getErrorStatistics with optional date range
+   */
+  async handleGetErrorStatistics(params) {
+    return this.requireErrorRecorder().getStatistics({
+      from: this.parseDateParam(params?.from, 'from'),
+      to: this.parseDateParam(params?.to, 'to')
+    });
+  }
+
+  /**
+   * Handle restartCharger with an optional wait timeout
+   */
+  async handleRestartCharger(params) {
+    if (params?.timeout !== undefined && typeof params.timeout !== 'number') {
+      throw modbusError('EVALIDATION', 'Parameter "timeout" must be a number of seconds');
+    }
+    return this.controller.restartCharger({ timeout: params?.timeout });
+  }
+
+  /**
+   * Get the session recorder or fail if session recording is disabled
+   * @returns {SessionRecorder}
+   */
+  requireSessionRecorder() {
+    if (!this.sessionRecorder) {
+      throw new Error('Session recording is disabled');
+    }
+    return this.sessionRecorder;
+  }
+
+  /**
+   * Parse an optional date parameter (ISO 8601 string or epoch milliseconds)
+   * @param {any} value - Parameter value
+   * @param {string} name - Parameter name for error messages
+   * @returns {number|undefined} - Epoch milliseconds
+   */
+  parseDateParam(value, name) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw modbusError('EVALIDATION', `Parameter "${name}" must be an ISO 8601 date or a timestamp in milliseconds`);
+    }
+    return time;
+  }
+
+  /**
+   * Handle listSessions with optional date range and paging
+   */
+  async handleListSessions(params) {
+    const { limit, offset } = params || {};
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw modbusError('EVALIDATION', 'Parameter "limit" must be a positive integer');
+    }
+    if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+      throw modbusError('EVALIDATION', 'Parameter "offset" must be a non-negative integer');
+    }
+
+    const recorder = this.requireSessionRecorder();
+    const result = recorder.store.list({
+      from: this.parseDateParam(params?.from, 'from'),
+      to: this.parseDateParam(params?.to, 'to'),
+      limit,
+      offset
+    });
+    return { ...result, active: recorder.getActiveSession() };
+  }
+
+  /**
+   * Handle getSession with parameter validation
+   */
+  async handleGetSession(params) {
+    if (!params || typeof params.id !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "id" is required and must be a string');
+    }
+    const session = this.requireSessionRecorder().store.get(params.id);
+    if (!session) {
+      throw modbusError('ENOENTRY', `Session ${params.id} not found`);
+    }
+    return session;
+  }
+
+  /**
+   * Handle deleteSession with parameter validation
+   */
+  async handleDeleteSession(params) {
+    if (!params || typeof params.id !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "id" is required and must be a string');
+    }
+    const deleted = await this.requireSessionRecorder().store.delete(params.id);
+    if (!deleted) {
+      throw modbusError('ENOENTRY', `Session ${params.id} not found`);
+    }
+    return { message: `Session ${params.id} deleted` };
+  }
+
+  /**
+   * Handle deleteSessions for a date range
+   */
+  async handleDeleteSessions(params) {
+    const from = this.parseDateParam(params?.from, 'from');
+    const to = this.parseDateParam(params?.to, 'to');
+    if (from === undefined && to === undefined) {
+      throw modbusError('EVALIDATION', 'At least one of the parameters "from" and "to" is required');
+    }
+    const count = await this.requireSessionRecorder().store.deleteRange({ from, to });
+    return { deleted: count, message: `${count} sessions deleted` };
+  }
+
+  /**
+   * Get the scheduler or fail if scheduling is disabled
+   * @returns {Scheduler}
+   */
+  requireScheduler() {
+    if (!this.scheduler) {
+      throw new Error('Scheduler is disabled');
+    }
+    return this.scheduler;
+  }
+
+  /**
+   * Handle listSchedules request
+   */
+  async handleListSchedules() {
+    return this.requireScheduler().listWindows();
+  }
+
+  /**
+   * Handle getSchedule with parameter validation
+   */
+  async handleGetSchedule(params) {
+    if (!params || typeof params.id !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "id" is required and must be a string');
+    }
+    return this.requireScheduler().getWindow(params.id);
+  }
+
+  /**
+   * Handle addSchedule (window definition is validated by the scheduler)
+   */
+  async handleAddSchedule(params) {
+    return this.requireScheduler().addWindow(params);
+  }
+
+  /**
+   * Handle updateSchedule with parameter validation
+   */
+  async handleUpdateSchedule(params) {
+    if (!params || typeof params.id !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "id" is required and must be a string');
+    }
+    const { id, ...changes } = params;
+    return this.requireScheduler().updateWindow(id, changes);
+  }
+
+  /**
+   * Handle deleteSchedule with parameter validation
+   */
+  async handleDeleteSchedule(params) {
+    if (!params || typeof params.id !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "id" is required and must be a string');
+    }
+    await this.requireScheduler().deleteWindow(params.id);
+    return { message: `Schedule window ${params.id} deleted` };
+  }
+
+  /**
+   * Handle getSchedulerState request
+   */
+  async handleGetSchedulerState() {
+    return this.requireScheduler().getState();
+  }
+
+  /**
+   * Handle readRegister with parameter validation
+   */
+  async handleReadRegister(params) {
+    if (!params || typeof params.register !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "register" is required and must be a register name');
+    }
+    return this.controller.readRegister(params.register);
+  }
+
+  /**
+   * Handle readRegisters with parameter validation
+   */
+  async handleReadRegisters(params) {
+    if (!params || !Array.isArray(params.registers) || params.registers.length === 0) {
+      throw modbusError('EVALIDATION', 'Parameter "registers" is required and must be a non-empty array of register names');
+    }
+    return this.controller.readRegisters(params.registers);
+  }
+
+  /**
+   * Handle writeRegister with parameter validation
+   */
+  async handleWriteRegister(params) {
+    if (!params || typeof params.register !== 'string') {
+      throw modbusError('EVALIDATION', 'Parameter "register" is required and must be a register name');
+    }
+    if (params.value === undefined) {
+      throw modbusError('EVALIDATION', 'Parameter "value" is required');
+    }
+    return this.controller.writeRegister(params.register, params.value);
+  }
+
+  /**
+   * Handle updateSettings with parameter validation
+   */
+  async handleUpdateSettings(params) {
+    if (!params || typeof params.settings !== 'object' || params.settings === null || Array.isArray(params.settings)) {
+      throw modbusError('EVALIDATION', 'Parameter "settings" is required and must be an object of setting names and values');
+    }
+    if (params.dryRun !== undefined && typeof params.dryRun !== 'boolean') {
+      throw modbusError('EVALIDATION', 'Parameter "dryRun" must be a boolean');
+    }
+    return this.controller.updateSettings(params.settings, { dryRun: params.dryRun === true });
+  }
+
+  /**
+   * Get the configuration backup service or fail if it is not available
+   * @returns {ConfigBackup}
+   */
+  requireConfigBackup() {
+    if (!this.configBackup) {
+      throw new Error('Configuration backup is not available');
+    }
+    return this.configBackup;
+  }
+
+  /**
+   * Handle exportConfig request
+   */
+  async handleExportConfig() {
+    return this.requireConfigBackup().export();
+  }
+
+  /**
+   * Handle importConfig with parameter validation
+   */
+  async handleImportConfig(params) {
+    if (!params || typeof params.backup !== 'object' || params.backup === null) {
+      throw modbusError('EVALIDATION', 'Parameter "backup" is required and must be a backup document from exportConfig');
+    }
+    if (params.dryRun !== undefined && typeof params.dryRun !== 'boolean') {
+      throw modbusError('EVALIDATION', 'Parameter "dryRun" must be a boolean');
+    }
+    return this.requireConfigBackup().import(params.backup, { dryRun: params.dryRun === true });
+  }
+
+  // ==========================================
+  // HTTP ROUTING AND EVENT STREAM
+  // ==========================================
+
+  /**
+   * Route a HTTP request: GET endpoints are served here, everything else goes to jayson
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Function} rpcListener - jayson's request listener
+   */
+  handleHttpRequest(req, res, rpcListener) {
+    const url = new URL(req.url, 'http://localhost');
+    let key = null;
+
+    if (this.apiKeys) {
+      key = this.apiKeys.authenticate(this.getToken(req, url));
+      if (!key) {
+        this.logger.warn(`Rejected unauthenticated ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+        this.sendRpcResponse(res, 401, {
+          jsonrpc: '2.0',
+          id: null,
+          error: this.server.error(RPC_ERRORS.UNAUTHORIZED, 'Unauthorized: missing or invalid API key')
+        }, { 'www-authenticate': 'Bearer realm="amtron-rpc"' });
+        return;
+      }
+    }
+
+    // The event stream and metrics are read-only, every valid key may use them
+    if (req.method === 'GET' && url.pathname === '/events' && this.telemetry) {
+      this.handleEventStream(req, res, url);
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/metrics' && this.metrics) {
+      this.handleMetrics(res);
+      return;
+    }
+
+    // jayson's own listener does not pass a context to the methods
+    if (key) {
+      this.handleRpcRequest(req, res, { key });
+      return;
+    }
+
+    rpcListener(req, res);
+  }
+
+  /**
+   * Get the API key token of a request: 'Authorization: Bearer <token>', 'X-API-Key: <token>'
+   * or, for GET endpoints that browsers open without custom headers (EventSource), '?token=<token>'
+   * @param {http.IncomingMessage} req - Request
+   * @param {URL} url - Parsed request URL
+   * @returns {string|null}
+   */
+  getToken(req, url) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+      return authorization.slice(7).trim();
+    }
+    if (req.headers['x-api-key']) {
+      return req.headers['x-api-key'];
+    }
+    if (req.method === 'GET') {
+      return url.searchParams.get('token');
+    }
+    return null;
+  }
+
+  /**
+   * Serve an authenticated JSON-RPC request, passing the API key to the methods
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} context - Method context ({key})
+   */
+  async handleRpcRequest(req, res, context) {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { allow: 'POST' });
+      res.end('Method Not Allowed');
+      return;
+    }
+
+    if (!(req.headers['content-type'] || '').includes('application/json')) {
+      res.writeHead(415);
+      res.end('Unsupported Media Type');
+      return;
+    }
+
+    let body;
+    try {
+      body = await this.readBody(req);
+    } catch (error) {
+      res.writeHead(error.statusCode || 400);
+      res.end(error.message);
+      return;
+    }
+
+    this.server.call(body, context, (error, success) => {
+      const response = error || success;
+      if (!response) {
+        // Notification
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      this.sendRpcResponse(res, 200, response);
+    });
+  }
+
+  /**
+   * Read a request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string>}
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          const error = new Error('Request body too large');
+          error.statusCode = 413;
+          reject(error);
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON-RPC response body
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object|Array} response - JSON-RPC response
+   * @param {Object} [headers] - Additional headers
+   */
+  sendRpcResponse(res, status, response, headers = {}) {
+    const body = JSON.stringify(response);
+    res.writeHead(status, {
+      ...headers,
+      'content-length': Buffer.byteLength(body),
+      'content-type': 'application/json; charset=utf-8'
+    });
+    res.end(body);
+  }
+
+  /**
+   * Serve Prometheus metrics (GET /metrics)
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleMetrics(res) {
+    try {
+      const body = await this.metrics.render();
+      res.writeHead(200, { 'content-type': METRICS_CONTENT_TYPE });
+      res.end(body);
+    } catch (error) {
+      this.logger.error(`Error rendering metrics: ${error.message}`);
+      res.writeHead(500, { 'content-type': 'text/plain; charset=utf-8' });
+      res.end(`${error.message}\n`);
+    }
+  }
+
+  /**
+   * Serve a Server-Sent Events stream of telemetry topics (GET /events?topics=status,measurements&charger=garage)
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  handleEventStream(req, res, url) {
+    let charger;
+    try {
+      charger = this.getCharger(url.searchParams.get('charger') ?? undefined);
+    } catch (error) {
+      res.writeHead(400, { 'content-type': 'text/plain; charset=utf-8' });
+      res.end(`${error.message}\n`);
+      return;
+    }
+
+    const telemetry = charger.telemetry;
+    const requested = url.searchParams.get('topics');
+    const topics = requested ? [...new Set(requested.split(',').map(topic => topic.trim()).filter(Boolean))] : telemetry.getTopics();
+    const unknown = topics.find(topic => !telemetry.getTopics().includes(topic));
+
+    if (unknown || topics.length === 0) {
+      const reason = unknown ? `Unknown telemetry topic "${unknown}"` : 'No telemetry topic given';
+      res.writeHead(400, { 'content-type': 'text/plain; charset=utf-8' });
+      res.end(`${reason}, use one of ${telemetry.getTopics().join(', ')}\n`);
+      return;
+    }
+
+    res.writeHead(200, {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache',
+      'connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, chargerId: charger.id, topics: new Set(topics) };
+    this.streamClients.add(client);
+
+    // Subscribing starts the shared poller; the latest value is sent right away
+    for (const topic of topics) {
+      const last = telemetry.subscribe(topic);
+      if (last) {
+        this.sendEvent(client, last);
+      }
+    }
+
+    this.logger.info(`Event stream client connected (${charger.id}: ${topics.join(', ')}), ${this.streamClients.size} connected`);
+
+    req.on('close', () => {
+      this.streamClients.delete(client);
+      for (const topic of topics) {
+        telemetry.unsubscribe(topic);
+      }
+      this.logger.info(`Event stream client disconnected, ${this.streamClients.size} connected`);
+    });
+  }
+
+  /**
+   * Send a telemetry message to all clients subscribed to its charger and topic
+   * @param {string} chargerId - Charger the message is about
+   * @param {Object} message - Telemetry message
+   */
+  broadcast(chargerId, message) {
+    for (const client of this.streamClients) {
+      if (client.chargerId === chargerId && client.topics.has(message.topic)) {
+        this.sendEvent(client, message);
+      }
+    }
+  }
+
+  /**
+   * Write one Server-Sent Event
+   * @param {Object} client - Event stream client
+   * @param {Object} message - Telemetry message
+   */
+  sendEvent(client, message) {
+    client.res.write(`id: ${message.id}\nevent: ${message.topic}\ndata: ${JSON.stringify(message)}\n\n`);
   }
 
   /**
@@ -165,11 +1229,30 @@ export class RpcServer {
   async start() {
     return new Promise((resolve, reject) => {
       try {
-        // Use jayson's built-in HTTP server
-        this.httpServer = this.server.http();
+        // Use jayson's built-in HTTP(S) server, with GET endpoints routed in front of it
+        this.httpServer = this.config.tls ? this.server.https(this.getTlsOptions()) : this.server.http();
+        const rpcListener = this.httpServer.listeners('request')[0];
+        this.httpServer.removeAllListeners('request');
+        this.httpServer.on('request', (req, res) => this.handleHttpRequest(req, res, rpcListener));
+
+        // Comment lines keep idle event streams open through proxies
+        if (this.telemetry) {
+          this.keepAliveTimer = setInterval(() => {
+            for (const client of this.streamClients) {
+              client.res.write(': keep-alive\n\n');
+            }
+          }, 15000);
+        }
+
+        if (this.config.tls) {
+          // Handshakes rejected for a missing or untrusted client certificate never reach the request handler
+          this.httpServer.on('tlsClientError', (error, socket) => {
+            this.logger.warn(`TLS handshake with ${socket.remoteAddress} failed: ${error.code || error.message}`);
+          });
+        }
 
-        this.httpServer.listen(this.config.port, () => {
-          this.logger.info(`JSON-RPC server started on port ${this.config.port}`);
+        this.httpServer.listen(this.config.port, this.config.host || undefined, () => {
+          this.logger.info(`JSON-RPC server started on ${this.describeListener()}`);
           resolve();
         });
 
@@ -185,11 +1268,56 @@ export class RpcServer {
     });
   }
 
+  /**
+   * Read the certificate files for the HTTPS server
+   * @returns {Object} Options for https.createServer
+   */
+  getTlsOptions() {
+    const tls = this.config.tls;
+
+    if (!tls.cert || !tls.key) {
+      throw new Error('TLS requires both a certificate and a private key');
+    }
+    if (tls.clientAuth && !tls.ca) {
+      throw new Error('TLS client certificate authentication requires a CA bundle');
+    }
+
+    return {
+      cert: fs.readFileSync(tls.cert),
+      key: fs.readFileSync(tls.key),
+      ca: tls.ca ? fs.readFileSync(tls.ca) : undefined,
+      requestCert: Boolean(tls.clientAuth),
+      rejectUnauthorized: Boolean(tls.clientAuth),
+      minVersion: 'TLSv1.2'
+    };
+  }
+
+  /**
+   * Describe the listening address for log messages
+   * @returns {string}
+   */
+  describeListener() {
+    const scheme = this.config.tls ? 'https' : 'http';
+    const host = this.config.host || '0.0.0.0';
+    const clientAuth = this.config.tls?.clientAuth ? ' (client certificates required)' : '';
+    return `${scheme}://${host.includes(':') ? `[${host}]` : host}:${this.config.port}${clientAuth}`;
+  }
+
   /**
    * Stop the RPC server
    * @returns {Promise<void>}
    */
   async stop() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+
+    // Open event streams would keep the server from closing
+    for (const client of this.streamClients) {
+      client.res.end();
+    }
+
     return new Promise((resolve) => {
       if (this.httpServer) {
         this.httpServer.close(() => {
@@ -0,0 +1,121 @@
+/**
+ * Schedule Store
+ * File-backed persistence for charging schedule windows
+ */
+
+import { randomUUID } from 'crypto';
+import { JsonFileStore } from './json-file-store.js';
+
+const STORE_VERSION = 1;
+
+export class ScheduleStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {string} config.file - Path of the JSON file (default: 'data/schedules.json')
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      file: config.file || 'data/schedules.json'
+    };
+
+    this.logger = logger;
+    this.windows = [];
+    this.storage = new JsonFileStore(this.config.file, 'schedule store', logger);
+  }
+
+  /**
+   * Load windows from disk (a missing file is an empty store)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const content = await this.storage.read();
+    this.windows = Array.isArray(content?.windows) ? content.windows : [];
+
+    if (content) {
+      this.logger.info(`Loaded ${this.windows.length} schedule windows from ${this.config.file}`);
+    }
+  }
+
+  /**
+   * Persist the store
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.storage.write({
+      version: STORE_VERSION,
+      windows: this.windows
+    });
+  }
+
+  /**
+   * List all windows in creation order
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.windows];
+  }
+
+  /**
+   * Get a window by ID
+   * @param {string} id - Window ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.windows.find(window => window.id === id) || null;
+  }
+
+  /**
+   * Add a window
+   * @param {Object} window - Validated window without ID
+   * @returns {Promise<Object>} - Stored window
+   */
+  async add(window) {
+    const stored = {
+      id: randomUUID(),
+      ...window,
+      createdAt: new Date().toISOString()
+    };
+
+    this.windows.push(stored);
+    await this.save();
+    return stored;
+  }
+
+  /**
+   * Replace a window
+   * @param {string} id - Window ID
+   * @param {Object} window - Validated window
+   * @returns {Promise<Object|null>} - Stored window, or null if it does not exist
+   */
+  async update(id, window) {
+    const index = this.windows.findIndex(other => other.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    this.windows[index] = { ...window, id, createdAt: this.windows[index].createdAt };
+    await this.save();
+    return this.windows[index];
+  }
+
+  /**
+   * Delete a window by ID
+   * @param {string} id - Window ID
+   * @returns {Promise<boolean>} - true if the window existed
+   */
+  async delete(id) {
+    const index = this.windows.findIndex(window => window.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.windows.splice(index, 1);
+    await this.save();
+    return true;
+  }
+}
+
+export default ScheduleStore;
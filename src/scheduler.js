@@ -0,0 +1,447 @@
+/**
+ * Scheduler
+ * Starts and stops charging at the boundaries of recurring and one-off charging windows
+ */
+
+import { EventEmitter } from 'events';
+import { MODBUS_CONFIG } from './registers.js';
+import { modbusError } from './modbus-client.js';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PHASE_MODES = { all: 0, single: 1 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a local time of day
+ * @param {string} value - Time as HH:MM
+ * @returns {{hours: number, minutes: number}}
+ */
+function parseTime(value) {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return { hours: parseInt(hours), minutes: parseInt(minutes) };
+}
+
+/**
+ * Local date at a time of day
+ * @param {Date} day - Any time on the day
+ * @param {string} time - Time as HH:MM
+ * @returns {number} Epoch ms
+ */
+function atTime(day, time) {
+  const { hours, minutes } = parseTime(time);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Validate a schedule window
+ * @param {Object} input - Window definition
+ * @returns {Object} Normalised window
+ */
+export function validateWindow(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw modbusError('EVALIDATION', 'Schedule window must be an object');
+  }
+
+  const window = {
+    name: input.name ?? '',
+    type: input.type,
+    enabled: input.enabled ?? true,
+    current: input.current ?? 16,
+    phases: input.phases ?? null
+  };
+
+  if (typeof window.name !== 'string') {
+    throw modbusError('EVALIDATION', 'Schedule "name" must be a string');
+  }
+  if (typeof window.enabled !== 'boolean') {
+    throw modbusError('EVALIDATION', 'Schedule "enabled" must be a boolean');
+  }
+  if (typeof window.current !== 'number' || window.current < MODBUS_CONFIG.MIN_CHARGING_CURRENT || window.current > MODBUS_CONFIG.MAX_CHARGING_CURRENT) {
+    throw modbusError('EVALIDATION', `Schedule "current" must be between ${MODBUS_CONFIG.MIN_CHARGING_CURRENT}A and ${MODBUS_CONFIG.MAX_CHARGING_CURRENT}A`);
+  }
+  if (window.phases !== null && !(window.phases in PHASE_MODES)) {
+    throw modbusError('EVALIDATION', 'Schedule "phases" must be "all", "single" or null (unchanged)');
+  }
+
+  if (window.type === 'recurring') {
+    if (!Array.isArray(input.days) || input.days.length === 0) {
+      throw modbusError('EVALIDATION', 'Recurring schedule requires "days" (e.g. ["mon", "tue"])');
+    }
+    const days = input.days.map(day => String(day).toLowerCase());
+    const unknown = days.find(day => !DAYS.includes(day));
+    if (unknown) {
+      throw modbusError('EVALIDATION', `Unknown day "${unknown}", use one of ${DAYS.join(', ')}`);
+    }
+    for (const key of ['start', 'end']) {
+      if (typeof input[key] !== 'string' || !TIME_PATTERN.test(input[key])) {
+        throw modbusError('EVALIDATION', `Recurring schedule "${key}" must be a time as HH:MM`);
+      }
+    }
+
+    window.days = DAYS.filter(day => days.includes(day));
+    window.start = input.start;
+    window.end = input.end;
+  } else if (window.type === 'once') {
+    const start = Date.parse(input.start);
+    const end = Date.parse(input.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw modbusError('EVALIDATION', 'One-off schedule "start" and "end" must be ISO 8601 dates');
+    }
+    if (end <= start) {
+      throw modbusError('EVALIDATION', 'One-off schedule "end" must be after "start"');
+    }
+
+    window.start = new Date(start).toISOString();
+    window.end = new Date(end).toISOString();
+  } else {
+    throw modbusError('EVALIDATION', 'Schedule "type" must be "recurring" or "once"');
+  }
+
+  return window;
+}
+
+export class Scheduler extends EventEmitter {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {ScheduleStore} store - Schedule store
+   * @param {Object} config - Scheduler configuration
+   * @param {number} config.checkInterval - Interval for checking window boundaries in ms (default: 30000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, store, config, logger) {
+    super();
+
+    this.controller = controller;
+    this.store = store;
+    this.config = {
+      checkInterval: config.checkInterval || 30000
+    };
+    this.logger = logger;
+
+    this.applied = null;
+    this.initialized = false;
+    this.lastAction = null;
+    this.timer = null;
+    this.evaluating = false;
+  }
+
+  /**
+   * Load the schedule and start checking window boundaries
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.store.load();
+
+    this.timer = setInterval(() => this.evaluate(), this.config.checkInterval);
+    this.logger.info(`Scheduler started (check every ${this.config.checkInterval}ms)`);
+    await this.evaluate();
+  }
+
+  /**
+   * Stop checking window boundaries. The charger keeps its current state.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.logger.info('Scheduler stopped');
+  }
+
+  // ==========================================
+  // WINDOW MANAGEMENT
+  // ==========================================
+
+  /**
+   * Add a window
+   * @param {Object} input - Window definition
+   * @returns {Promise<Object>} Stored window
+   */
+  async addWindow(input) {
+    const window = await this.store.add(validateWindow(input));
+    this.logger.info(`Schedule window ${window.id} added`);
+    await this.evaluate();
+    return this.describe(window);
+  }
+
+  /**
+   * Update a window (fields not given are kept)
+   * @param {string} id - Window ID
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object>} Stored window
+   */
+  async updateWindow(id, changes) {
+    const existing = this.store.get(id);
+    if (!existing) {
+      throw modbusError('ENOENTRY', `Schedule window ${id} not found`);
+    }
+
+    // validateWindow only keeps window fields, so id and createdAt cannot be changed
+    const window = await this.store.update(id, validateWindow({ ...existing, ...changes }));
+    this.logger.info(`Schedule window ${id} updated`);
+    await this.evaluate();
+    return this.describe(window);
+  }
+
+  /**
+   * Delete a window
+   * @param {string} id - Window ID
+   * @returns {Promise<void>}
+   */
+  async deleteWindow(id) {
+    if (!await this.store.delete(id)) {
+      throw modbusError('ENOENTRY', `Schedule window ${id} not found`);
+    }
+
+    this.logger.info(`Schedule window ${id} deleted`);
+    await this.evaluate();
+  }
+
+  /**
+   * List all windows with their current and next occurrence
+   * @returns {Array<Object>}
+   */
+  listWindows() {
+    return this.store.list().map(window => this.describe(window));
+  }
+
+  /**
+   * Get a window with its current and next occurrence
+   * @param {string} id - Window ID
+   * @returns {Object}
+   */
+  getWindow(id) {
+    const window = this.store.get(id);
+    if (!window) {
+      throw modbusError('ENOENTRY', `Schedule window ${id} not found`);
+    }
+    return this.describe(window);
+  }
+
+  // ==========================================
+  // WINDOW EVALUATION
+  // ==========================================
+
+  /**
+   * Occurrence of a window covering a point in time
+   * @param {Object} window - Schedule window
+   * @param {number} now - Point in time (epoch ms)
+   * @returns {{start: number, end: number}|null}
+   */
+  occurrenceAt(window, now) {
+    if (window.type === 'once') {
+      const start = Date.parse(window.start);
+      const end = Date.parse(window.end);
+      return start <= now && now < end ? { start, end } : null;
+    }
+
+    // A window starting yesterday may still run past midnight
+    for (const offset of [0, -1]) {
+      const day = new Date(now + offset * DAY_MS);
+      if (!window.days.includes(DAYS[day.getDay()])) {
+        continue;
+      }
+
+      const start = atTime(day, window.start);
+      let end = atTime(day, window.end);
+      if (end <= start) {
+        end = atTime(new Date(start + DAY_MS), window.end); // Crosses midnight, equal times = 24h
+      }
+
+      if (start <= now && now < end) {
+        return { start, end };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Next start of a window after a point in time
+   * @param {Object} window - Schedule window
+   * @param {number} now - Point in time (epoch ms)
+   * @returns {number|null} Epoch ms, or null if the window does not start again
+   */
+  nextStart(window, now) {
+    if (window.type === 'once') {
+      const start = Date.parse(window.start);
+      return start > now ? start : null;
+    }
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(now + offset * DAY_MS);
+      if (window.days.includes(DAYS[day.getDay()])) {
+        const start = atTime(day, window.start);
+        if (start > now) {
+          return start;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Window in effect at a point in time. One-off windows take precedence over recurring ones.
+   * @param {number} now - Point in time (epoch ms)
+   * @returns {{window: Object, start: number, end: number}|null}
+   */
+  activeWindow(now) {
+    const candidates = this.store.list()
+      .filter(window => window.enabled)
+      .sort((a, b) => (a.type === 'once' ? 0 : 1) - (b.type === 'once' ? 0 : 1));
+
+    for (const window of candidates) {
+      const occurrence = this.occurrenceAt(window, now);
+      if (occurrence) {
+        return { window, ...occurrence };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the window boundaries and apply start, stop or setting changes
+   * @returns {Promise<void>}
+   */
+  async evaluate() {
+    if (this.evaluating) {
+      return;
+    }
+
+    this.evaluating = true;
+
+    try {
+      const now = Date.now();
+      const active = this.activeWindow(now);
+      const applied = this.applied;
+
+      if (active && (!applied || applied.id !== active.window.id || applied.current !== active.window.current || applied.phases !== active.window.phases)) {
+        await this.enterWindow(active.window, applied);
+      } else if (!active && applied) {
+        await this.leaveWindow(applied);
+      } else if (!active && !this.initialized && this.store.list().some(window => window.enabled)) {
+        // Outside all windows at startup: make sure the charger does not charge
+        await this.runAction('stop', null, () => this.controller.stopCharging());
+      }
+
+      this.initialized = true;
+    } catch (error) {
+      this.logger.error(`Scheduler evaluation failed: ${error.message}`);
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  /**
+   * Apply a window that became active (or whose settings changed)
+   * @param {Object} window - Schedule window
+   * @param {Object|null} applied - Settings applied so far
+   * @returns {Promise<void>}
+   */
+  async enterWindow(window, applied) {
+    await this.runAction(applied ? 'adjust' : 'start', window, async () => {
+      if (window.phases !== null && (!applied || applied.phases !== window.phases)) {
+        await this.controller.setRequestedPhases(PHASE_MODES[window.phases]);
+      }
+
+      if (applied) {
+        await this.controller.setChargingCurrent(window.current);
+      } else {
+        await this.controller.startCharging(window.current);
+      }
+    });
+
+    this.applied = { id: window.id, current: window.current, phases: window.phases };
+    if (!applied || applied.id !== window.id) {
+      this.emit('windowStarted', this.describe(window));
+    }
+  }
+
+  /**
+   * Stop charging when the last window ended
+   * @param {Object} applied - Settings of the window that ended
+   * @returns {Promise<void>}
+   */
+  async leaveWindow(applied) {
+    const window = this.store.get(applied.id);
+
+    await this.runAction('stop', window, () => this.controller.stopCharging());
+
+    this.applied = null;
+    this.emit('windowEnded', window ? this.describe(window) : { id: applied.id });
+  }
+
+  /**
+   * Run a control action unless PV surplus mode is in charge
+   * @param {string} action - 'start', 'adjust' or 'stop'
+   * @param {Object|null} window - Window causing the action
+   * @param {Function} operation - Async control operation
+   * @returns {Promise<void>}
+   */
+  async runAction(action, window, operation) {
+    const label = window ? `window ${window.name || window.id}` : 'outside all windows';
+    const skipped = this.controller.getSurplusState().enabled;
+
+    if (skipped) {
+      this.logger.info(`Scheduler: ${action} (${label}) skipped, PV surplus mode is enabled`);
+    } else {
+      this.logger.info(`Scheduler: ${action} (${label})`);
+      await operation();
+    }
+
+    this.lastAction = {
+      action,
+      windowId: window ? window.id : null,
+      skipped,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Window with its current and next occurrence
+   * @param {Object} window - Schedule window
+   * @returns {Object}
+   */
+  describe(window) {
+    const now = Date.now();
+    const occurrence = this.occurrenceAt(window, now);
+    const next = this.nextStart(window, now);
+
+    return {
+      ...window,
+      active: window.enabled && occurrence !== null,
+      activeUntil: occurrence ? new Date(occurrence.end).toISOString() : null,
+      nextStart: window.enabled && next !== null ? new Date(next).toISOString() : null
+    };
+  }
+
+  /**
+   * Get the scheduler state
+   * @returns {Object}
+   */
+  getState() {
+    const now = Date.now();
+    const active = this.activeWindow(now);
+    const upcoming = this.store.list()
+      .filter(window => window.enabled)
+      .map(window => ({ window, start: this.nextStart(window, now) }))
+      .filter(entry => entry.start !== null)
+      .sort((a, b) => a.start - b.start)[0];
+
+    return {
+      running: this.timer !== null,
+      windows: this.store.list().length,
+      activeWindow: active ? this.describe(active.window) : null,
+      nextWindow: upcoming ? this.describe(upcoming.window) : null,
+      lastAction: this.lastAction
+    };
+  }
+}
+
+export default Scheduler;
@@ -0,0 +1,232 @@
+/**
+ * Session Goal
+ * Stops charging once a target energy or duration has been added to the session
+ */
+
+import { EventEmitter } from 'events';
+import { modbusError } from './modbus-client.js';
+
+const SNAPSHOT_REGISTERS = [
+  'CHARGED_ENERGY_SESSION',
+  'DURATION_SESSION',
+  'POWER_OVERALL'
+];
+
+export class SessionGoal extends EventEmitter {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Object} config - Goal watcher configuration
+   * @param {number} config.pollInterval - Progress poll interval in ms (default: 10000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, config, logger) {
+    super();
+
+    this.controller = controller;
+    this.config = {
+      pollInterval: config?.pollInterval || 10000
+    };
+    this.logger = logger;
+
+    this.goal = null;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Set a goal for the session in progress (or the next one).
+   * Targets count from the moment the goal is set; the first target reached stops charging.
+   * @param {Object} target - Goal
+   * @param {number} [target.energy] - Energy to add in kWh
+   * @param {number} [target.duration] - Duration to add in seconds
+   * @returns {Promise<Object>} Goal progress
+   */
+  async set(target) {
+    const energy = target?.energy ?? null;
+    const duration = target?.duration ?? null;
+
+    if (energy === null && duration === null) {
+      throw modbusError('EVALIDATION', 'Goal requires "energy" (kWh) and/or "duration" (s)');
+    }
+    if (energy !== null && (typeof energy !== 'number' || !(energy > 0))) {
+      throw modbusError('EVALIDATION', 'Goal "energy" must be a positive number of kWh');
+    }
+    if (duration !== null && (typeof duration !== 'number' || !(duration > 0))) {
+      throw modbusError('EVALIDATION', 'Goal "duration" must be a positive number of seconds');
+    }
+
+    const snapshot = await this.controller.client.readMultipleRegisters(SNAPSHOT_REGISTERS);
+
+    this.goal = {
+      energy,
+      duration,
+      status: 'active',
+      setAt: new Date().toISOString(),
+      reachedAt: null,
+      reachedBy: null,
+      baseline: {
+        energy: snapshot.CHARGED_ENERGY_SESSION || 0,
+        duration: snapshot.DURATION_SESSION || 0
+      },
+      snapshot
+    };
+
+    this.startWatching();
+    this.logger.info(`Session goal set:${energy !== null ? ` ${energy} kWh` : ''}${duration !== null ? ` ${duration}s` : ''}`);
+    return this.getProgress();
+  }
+
+  /**
+   * Clear the goal. Charging continues.
+   * @returns {Object} Last goal progress
+   */
+  clear() {
+    const progress = this.getProgress();
+
+    this.stopWatching();
+    this.goal = null;
+
+    this.logger.info('Session goal cleared');
+    return progress;
+  }
+
+  /**
+   * Start polling progress
+   */
+  startWatching() {
+    this.stopWatching();
+    this.timer = setInterval(() => this.check(), this.config.pollInterval);
+  }
+
+  /**
+   * Stop polling progress
+   */
+  stopWatching() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read the session counters and stop charging when the goal is reached
+   * @returns {Promise<void>}
+   */
+  async check() {
+    if (!this.goal || this.goal.status !== 'active' || this.checking) {
+      return;
+    }
+
+    this.checking = true;
+
+    try {
+      const goal = this.goal;
+      const snapshot = await this.controller.client.readMultipleRegisters(SNAPSHOT_REGISTERS);
+
+      // Session counters reset when a new session starts: count from zero
+      if (snapshot.CHARGED_ENERGY_SESSION !== null && snapshot.CHARGED_ENERGY_SESSION < goal.baseline.energy) {
+        goal.baseline = { energy: 0, duration: 0 };
+      }
+
+      goal.snapshot = snapshot;
+      const added = this.added();
+
+      let reachedBy = null;
+      if (goal.energy !== null && added.energy >= goal.energy) {
+        reachedBy = 'energy';
+      } else if (goal.duration !== null && added.duration >= goal.duration) {
+        reachedBy = 'duration';
+      }
+
+      if (reachedBy) {
+        this.logger.info(`Session goal reached (${reachedBy}), stopping charging`);
+        await this.controller.stopCharging();
+
+        goal.status = 'reached';
+        goal.reachedBy = reachedBy;
+        goal.reachedAt = new Date().toISOString();
+        this.stopWatching();
+        this.emit('goalReached', this.getProgress());
+      }
+    } catch (error) {
+      this.logger.error(`Session goal check failed: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Energy and duration added since the goal was set
+   * @returns {{energy: number, duration: number}} kWh and seconds
+   */
+  added() {
+    const { snapshot, baseline } = this.goal;
+
+    return {
+      energy: Math.max(0, (snapshot.CHARGED_ENERGY_SESSION ?? baseline.energy) - baseline.energy),
+      duration: Math.max(0, (snapshot.DURATION_SESSION ?? baseline.duration) - baseline.duration)
+    };
+  }
+
+  /**
+   * Get goal progress with an estimated time to completion
+   * @returns {Object|null} Progress, or null if no goal is set
+   */
+  getProgress() {
+    if (!this.goal) {
+      return null;
+    }
+
+    const goal = this.goal;
+    const power = goal.snapshot.POWER_OVERALL || 0;
+    const { energy: energyAdded, duration: durationAdded } = this.added();
+
+    const estimates = [];
+    let energy = null;
+    let duration = null;
+
+    if (goal.energy !== null) {
+      const remaining = Math.max(0, goal.energy - energyAdded);
+      // kWh / kW = h
+      const eta = power > 0 ? Math.round((remaining * 3600000) / power) : null;
+      energy = {
+        target: goal.energy,
+        added: Math.round(energyAdded * 1000) / 1000,
+        remaining: Math.round(remaining * 1000) / 1000,
+        percent: Math.min(100, Math.round((energyAdded / goal.energy) * 1000) / 10),
+        eta
+      };
+      estimates.push(eta);
+    }
+
+    if (goal.duration !== null) {
+      const remaining = Math.max(0, goal.duration - durationAdded);
+      duration = {
+        target: goal.duration,
+        added: durationAdded,
+        remaining,
+        percent: Math.min(100, Math.round((durationAdded / goal.duration) * 1000) / 10),
+        eta: remaining
+      };
+      estimates.push(remaining);
+    }
+
+    // The first target reached ends the goal; unknown estimates (no power) are ignored
+    const known = estimates.filter(eta => eta !== null);
+    const eta = goal.status === 'active' && known.length > 0 ? Math.min(...known) : null;
+
+    return {
+      status: goal.status,
+      energy,
+      duration,
+      power,
+      eta,
+      estimatedCompletion: eta !== null ? new Date(Date.now() + eta * 1000).toISOString() : null,
+      setAt: goal.setAt,
+      reachedAt: goal.reachedAt,
+      reachedBy: goal.reachedBy
+    };
+  }
+}
+
+export default SessionGoal;
@@ -0,0 +1,252 @@
+/**
+ * Session Recorder
+ * Detects charging sessions from the EVSE_STATE / CP_STATE transitions seen by the charging monitor
+ * and records them in a SessionStore
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { EVSE_CHARGING, isVehicleConnected } from './charger-state.js';
+
+/**
+ * Session registers, read only while a vehicle is connected (the states come from the monitor snapshot)
+ */
+const SESSION_REGISTERS = [
+  'CHARGED_ENERGY_SESSION',
+  'DURATION_SESSION',
+  'DETECTED_EV_PHASES',
+  'CHARGED_ENERGY_TOTAL'
+];
+
+export class SessionRecorder extends EventEmitter {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance (its charging monitor must be running)
+   * @param {SessionStore} store - Session store
+   * @param {Object} config - Recorder configuration
+   * @param {number} config.pollInterval - Interval for reading the session registers while a vehicle is connected in ms (default: 5000)
+   * @param {number} config.checkpointInterval - Interval for persisting the session in progress in ms (default: 60000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, store, config, logger) {
+    super();
+
+    this.controller = controller;
+    this.store = store;
+    this.config = {
+      pollInterval: config.pollInterval || 5000,
+      checkpointInterval: config.checkpointInterval || 60000
+    };
+    this.logger = logger;
+
+    this.active = null;
+    this.lastPoll = null;
+    this.lastRead = 0;
+    this.lastCheckpoint = 0;
+    this.listener = null;
+    this.updating = Promise.resolve();
+  }
+
+  /**
+   * Load the store and follow the monitor snapshots
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.store.load();
+
+    // Continue a session that was in progress when the server stopped
+    this.active = this.store.getActive();
+    if (this.active) {
+      this.logger.info(`Continuing charging session ${this.active.id} started at ${this.active.startedAt}`);
+    }
+
+    this.listener = (snapshot) => {
+      this.updating = this.updating
+        .then(() => this.update(snapshot))
+        .catch((error) => {
+          this.logger.error(`Session recorder update failed: ${error.message}`);
+        });
+    };
+    this.controller.monitor.on('state', this.listener);
+
+    const snapshot = this.controller.monitor.getState();
+    if (snapshot) {
+      this.listener(snapshot);
+    }
+
+    this.logger.info('Session recorder started');
+  }
+
+  /**
+   * Stop following the monitor and persist the session in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.listener) {
+      this.controller.monitor.off('state', this.listener);
+      this.listener = null;
+    }
+
+    await this.updating;
+    if (this.active) {
+      await this.store.setActive(this.active);
+    }
+
+    this.logger.info('Session recorder stopped');
+  }
+
+  /**
+   * Advance session detection with a monitor snapshot
+   * @param {Object} snapshot - Charging monitor snapshot
+   * @returns {Promise<void>}
+   */
+  async update(snapshot) {
+    const values = {
+      ...Object.fromEntries(SESSION_REGISTERS.map(name => [name, null])),
+      EVSE_STATE: snapshot.evseState,
+      CP_STATE: snapshot.cpState,
+      POWER_OVERALL: snapshot.power
+    };
+    const connected = isVehicleConnected(values);
+    const now = Date.parse(snapshot.timestamp);
+
+    // Unknown (init or error state): keep the current session state
+    if (connected === null) {
+      return;
+    }
+
+    if (connected && !this.active) {
+      await this.startSession(await this.readSession(values, now), now);
+    } else if (connected && this.active) {
+      const due = now - this.lastRead >= this.config.pollInterval;
+      this.updateSession(due ? await this.readSession(values, now) : values, now);
+
+      if (now - this.lastCheckpoint >= this.config.checkpointInterval) {
+        this.lastCheckpoint = now;
+        await this.store.setActive(this.active);
+      }
+    } else if (!connected && this.active) {
+      await this.endSession(await this.readSession(values, now), now);
+    }
+
+    this.lastPoll = now;
+  }
+
+  /**
+   * Read the session registers into the values of a snapshot
+   * @param {Object} values - Register values of the snapshot (session registers null)
+   * @param {number} now - Snapshot time (epoch ms)
+   * @returns {Promise<Object>} Register values
+   */
+  async readSession(values, now) {
+    this.lastRead = now;
+    return { ...values, ...await this.controller.client.readMultipleRegisters(SESSION_REGISTERS) };
+  }
+
+  /**
+   * Begin a new session (or adopt one already running when the server starts)
+   * @param {Object} snapshot - Register values
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<void>}
+   */
+  async startSession(snapshot, now) {
+    // A session already running on the device before the first poll started earlier than now
+    const resumed = this.lastPoll === null && snapshot.DURATION_SESSION > 0;
+    const startedAt = resumed ? now - snapshot.DURATION_SESSION * 1000 : now;
+
+    this.active = {
+      id: randomUUID(),
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: null,
+      duration: 0,
+      chargingDuration: 0,
+      energy: 0,
+      peakPower: 0,
+      averagePower: 0,
+      detectedPhases: 0,
+      meterStart: snapshot.CHARGED_ENERGY_TOTAL,
+      meterEnd: snapshot.CHARGED_ENERGY_TOTAL,
+      resumed
+    };
+
+    // Energy charged before we noticed the session is not in the meter delta
+    if (resumed && snapshot.CHARGED_ENERGY_TOTAL !== null && snapshot.CHARGED_ENERGY_SESSION !== null) {
+      this.active.meterStart = snapshot.CHARGED_ENERGY_TOTAL - snapshot.CHARGED_ENERGY_SESSION;
+    }
+
+    this.updateSession(snapshot, now);
+    this.lastCheckpoint = now;
+    await this.store.setActive(this.active);
+
+    this.logger.info(`Charging session ${this.active.id} started`);
+    this.emit('sessionStarted', { ...this.active });
+  }
+
+  /**
+   * Fold a snapshot into the session in progress
+   * @param {Object} snapshot - Register values
+   * @param {number} now - Current time (epoch ms)
+   */
+  updateSession(snapshot, now) {
+    const session = this.active;
+
+    session.duration = snapshot.DURATION_SESSION ?? Math.round((now - Date.parse(session.startedAt)) / 1000);
+
+    if (snapshot.CHARGED_ENERGY_SESSION !== null) {
+      session.energy = Math.max(session.energy, snapshot.CHARGED_ENERGY_SESSION);
+    }
+    if (snapshot.POWER_OVERALL !== null) {
+      session.peakPower = Math.max(session.peakPower, snapshot.POWER_OVERALL);
+    }
+    if (snapshot.DETECTED_EV_PHASES !== null) {
+      session.detectedPhases = Math.max(session.detectedPhases, snapshot.DETECTED_EV_PHASES);
+    }
+    if (snapshot.CHARGED_ENERGY_TOTAL !== null) {
+      session.meterEnd = snapshot.CHARGED_ENERGY_TOTAL;
+    }
+
+    if (snapshot.EVSE_STATE === EVSE_CHARGING && this.lastPoll !== null) {
+      session.chargingDuration += (now - this.lastPoll) / 1000;
+    }
+  }
+
+  /**
+   * Close the session in progress and store it
+   * @param {Object} snapshot - Register values read after the vehicle left
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<void>}
+   */
+  async endSession(snapshot, now) {
+    const session = this.active;
+
+    // The device resets its session registers on unplug; keep the last values seen while connected
+    if (snapshot.CHARGED_ENERGY_TOTAL !== null) {
+      session.meterEnd = snapshot.CHARGED_ENERGY_TOTAL;
+    }
+    if (session.meterStart !== null && session.meterEnd !== null) {
+      session.energy = Math.max(session.energy, session.meterEnd - session.meterStart);
+    }
+
+    session.endedAt = new Date(now).toISOString();
+    session.duration = Math.max(session.duration, Math.round((now - Date.parse(session.startedAt)) / 1000));
+    session.averagePower = session.chargingDuration > 0
+      ? (session.energy * 3600000) / session.chargingDuration
+      : 0;
+    session.chargingDuration = Math.round(session.chargingDuration);
+
+    this.active = null;
+    await this.store.add(session);
+
+    this.logger.info(`Charging session ${session.id} ended: ${session.energy.toFixed(3)} kWh in ${session.duration}s`);
+    this.emit('sessionEnded', { ...session });
+  }
+
+  /**
+   * Get the session in progress
+   * @returns {Object|null}
+   */
+  getActiveSession() {
+    return this.active ? { ...this.active } : null;
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,169 @@
+/**
+ * Session Store
+ * File-backed persistence for recorded charging sessions
+ */
+
+import { JsonFileStore } from './json-file-store.js';
+
+const STORE_VERSION = 1;
+
+export class SessionStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {string} config.file - Path of the JSON file (default: 'data/sessions.json')
+   * @param {number} config.maxSessions - Maximum number of sessions kept, oldest are dropped (default: 5000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      file: config.file || 'data/sessions.json',
+      maxSessions: config.maxSessions || 5000
+    };
+
+    this.logger = logger;
+    this.sessions = [];
+    this.active = null;
+    this.storage = new JsonFileStore(this.config.file, 'session store', logger);
+  }
+
+  /**
+   * Load sessions from disk (a missing file is an empty store)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const content = await this.storage.read();
+    this.active = content?.active || null;
+    this.sessions = Array.isArray(content?.sessions) ? content.sessions : [];
+
+    if (content) {
+      this.logger.info(`Loaded ${this.sessions.length} charging sessions from ${this.config.file}`);
+    }
+  }
+
+  /**
+   * Persist the store
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.storage.write({
+      version: STORE_VERSION,
+      active: this.active,
+      sessions: this.sessions
+    });
+  }
+
+  /**
+   * Get the persisted in-progress session (used to continue a session across restarts)
+   * @returns {Object|null}
+   */
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Persist the in-progress session
+   * @param {Object|null} session - Session in progress, or null when none
+   * @returns {Promise<void>}
+   */
+  async setActive(session) {
+    this.active = session;
+    await this.save();
+  }
+
+  /**
+   * Add a completed session and clear the in-progress one
+   * @param {Object} session - Completed session
+   * @returns {Promise<void>}
+   */
+  async add(session) {
+    this.sessions.push(session);
+    this.sessions.sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+
+    if (this.sessions.length > this.config.maxSessions) {
+      this.sessions.splice(0, this.sessions.length - this.config.maxSessions);
+    }
+
+    this.active = null;
+    await this.save();
+  }
+
+  /**
+   * List sessions, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {number} [filter.from] - Only sessions started at or after this time (epoch ms)
+   * @param {number} [filter.to] - Only sessions started at or before this time (epoch ms)
+   * @param {number} [filter.limit] - Maximum number of sessions returned (default: 100)
+   * @param {number} [filter.offset] - Number of sessions skipped (default: 0)
+   * @returns {{total: number, totalEnergy: number, sessions: Array<Object>}}
+   */
+  list(filter = {}) {
+    const matching = this.filter(filter).reverse();
+    const offset = filter.offset || 0;
+    const limit = filter.limit || 100;
+
+    return {
+      total: matching.length,
+      totalEnergy: matching.reduce((sum, session) => sum + (session.energy || 0), 0),
+      sessions: matching.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} id - Session ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.sessions.find(session => session.id === id) || null;
+  }
+
+  /**
+   * Delete a session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} - true if the session existed
+   */
+  async delete(id) {
+    const index = this.sessions.findIndex(session => session.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.sessions.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Delete all sessions started within a date range
+   * @param {Object} filter - Date range
+   * @param {number} [filter.from] - Start of range (epoch ms)
+   * @param {number} [filter.to] - End of range (epoch ms)
+   * @returns {Promise<number>} - Number of deleted sessions
+   */
+  async deleteRange(filter) {
+    const doomed = new Set(this.filter(filter));
+
+    if (doomed.size === 0) {
+      return 0;
+    }
+
+    this.sessions = this.sessions.filter(session => !doomed.has(session));
+    await this.save();
+    return doomed.size;
+  }
+
+  /**
+   * Sessions (oldest first) started within a date range
+   * @param {Object} filter - Date range with optional from/to (epoch ms)
+   * @returns {Array<Object>}
+   */
+  filter({ from, to } = {}) {
+    return this.sessions.filter((session) => {
+      const startedAt = Date.parse(session.startedAt);
+      return (from === undefined || startedAt >= from) && (to === undefined || startedAt <= to);
+    });
+  }
+}
+
+export default SessionStore;
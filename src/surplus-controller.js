@@ -0,0 +1,427 @@
+/**
+ * Surplus Controller
+ * Turns a pushed grid-export power feed into a charging current setpoint (PV surplus charging)
+ */
+
+import { MODBUS_CONFIG } from './registers.js';
+import { modbusError } from './modbus-client.js';
+
+/**
+ * EVSE states with a vehicle plugged in (B1 .. C2)
+ */
+const EVSE_VEHICLE = [2, 3, 4, 5];
+
+/**
+ * Default tuning
+ */
+export const SURPLUS_DEFAULTS = {
+  voltage: 230, // Nominal phase voltage (V)
+  reservePower: 100, // Export kept back as safety margin (W)
+  startThreshold: 300, // Surplus above the minimum charging power required to start (W)
+  startDelay: 60, // Time the start threshold must hold before charging starts (s)
+  stopDelay: 300, // Time below the minimum charging power before charging pauses (s)
+  minCurrent: MODBUS_CONFIG.MIN_CHARGING_CURRENT, // Lowest setpoint (A)
+  maxCurrent: MODBUS_CONFIG.MAX_CHARGING_CURRENT, // Highest setpoint (A)
+  currentStep: 1, // Minimum setpoint change (A)
+  smoothing: 0.5, // Weight of the newest sample in the moving average (0-1)
+  phaseSwitching: true, // Allow 1 <-> 3 phase switching
+  phaseHysteresis: 500, // Surplus above the 3-phase minimum required to switch up (W)
+  phaseSwitchDelay: 120, // Time a phase switch condition must hold (s)
+  feedTimeout: 60 // Pause charging if no grid power was pushed for this long (s)
+};
+
+export class SurplusController {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Object} tuning - Initial tuning, see SURPLUS_DEFAULTS
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, tuning, logger) {
+    this.controller = controller;
+    this.logger = logger;
+    this.tuning = { ...SURPLUS_DEFAULTS };
+    this.setTuning(tuning || {});
+
+    this.enabled = false;
+    this.evaluating = false;
+    this.watchdog = null;
+    this.resetState();
+  }
+
+  /**
+   * Reset runtime state
+   */
+  resetState() {
+    this.feed = null;
+    this.surplus = null;
+    this.phases = 3;
+    this.canSwitchPhases = false;
+    this.phaseSwitchingPause = 0;
+    this.charging = false;
+    this.setpoint = 0;
+    this.aboveSince = null;
+    this.belowSince = null;
+    this.phaseCandidate = null;
+    this.phaseCandidateSince = null;
+    this.lastCurrentChange = 0;
+    this.lastPhaseSwitch = 0;
+    this.reason = 'Surplus mode disabled';
+  }
+
+  /**
+   * Update tuning parameters
+   * @param {Object} tuning - Subset of SURPLUS_DEFAULTS
+   * @returns {Object} Effective tuning
+   */
+  setTuning(tuning) {
+    const next = { ...this.tuning };
+
+    for (const [key, value] of Object.entries(tuning)) {
+      if (!(key in SURPLUS_DEFAULTS)) {
+        throw modbusError('EVALIDATION', `Unknown surplus tuning parameter: ${key}`);
+      }
+
+      if (typeof SURPLUS_DEFAULTS[key] === 'boolean') {
+        if (typeof value !== 'boolean') {
+          throw modbusError('EVALIDATION', `Surplus tuning parameter "${key}" must be a boolean`);
+        }
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw modbusError('EVALIDATION', `Surplus tuning parameter "${key}" must be a non-negative number`);
+      }
+
+      next[key] = value;
+    }
+
+    if (next.smoothing <= 0 || next.smoothing > 1) {
+      throw modbusError('EVALIDATION', 'Surplus tuning parameter "smoothing" must be greater than 0 and at most 1');
+    }
+
+    if (next.minCurrent < MODBUS_CONFIG.MIN_CHARGING_CURRENT || next.maxCurrent > MODBUS_CONFIG.MAX_CHARGING_CURRENT || next.minCurrent > next.maxCurrent) {
+      throw modbusError('EVALIDATION', `Surplus current range must be within ${MODBUS_CONFIG.MIN_CHARGING_CURRENT}A - ${MODBUS_CONFIG.MAX_CHARGING_CURRENT}A`);
+    }
+
+    this.tuning = next;
+    return { ...this.tuning };
+  }
+
+  /**
+   * Enable surplus mode. Reads the phase capabilities and PHASE_SWITCHING_PAUSE from the charger.
+   * @param {Object} [tuning] - Optional tuning to apply first
+   * @returns {Promise<Object>} Surplus state
+   */
+  async enable(tuning = {}) {
+    this.setTuning(tuning);
+
+    const info = await this.controller.client.readMultipleRegisters([
+      'PHASE_OPTIONS_HW',
+      'GRID_PHASES_CONNECTED',
+      'PHASE_SWITCHING_PAUSE',
+      'SWITCHED_PHASES'
+    ]);
+
+    this.resetState();
+    this.enabled = true;
+
+    // Dynamic phase switching needs 1/3 phase hardware on a 3 phase grid
+    const threePhaseGrid = info.GRID_PHASES_CONNECTED !== 0;
+    this.canSwitchPhases = info.PHASE_OPTIONS_HW === 2 && threePhaseGrid;
+    this.phases = info.SWITCHED_PHASES === 1 || !threePhaseGrid || info.PHASE_OPTIONS_HW === 0 ? 1 : 3;
+    this.phaseSwitchingPause = info.PHASE_SWITCHING_PAUSE ?? 0;
+    this.reason = 'Waiting for grid power feed';
+
+    // Enabling again restarts the watchdog
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+    }
+    this.watchdog = setInterval(() => this.evaluate(), MODBUS_CONFIG.RECOMMENDED_CURRENT_CHANGE_INTERVAL);
+
+    this.logger.info(`Surplus mode enabled (${this.phases} phase${this.phases === 1 ? '' : 's'}, phase switching ${this.canSwitchPhases && this.tuning.phaseSwitching ? 'on' : 'off'})`);
+    return this.getState();
+  }
+
+  /**
+   * Disable surplus mode. The charger keeps its last setpoint unless pause is requested.
+   * @param {boolean} [pause] - Pause charging when leaving surplus mode
+   * @returns {Promise<Object>} Surplus state
+   */
+  async disable(pause = false) {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+
+    this.enabled = false;
+
+    if (pause && this.charging) {
+      await this.controller.stopCharging();
+    }
+
+    this.resetState();
+    this.logger.info('Surplus mode disabled');
+    return this.getState();
+  }
+
+  /**
+   * Push a grid power measurement
+   * @param {number} exportPower - Power exported to the grid in W (negative when importing)
+   * @returns {Promise<Object>} Surplus state after evaluation
+   */
+  async pushGridPower(exportPower) {
+    if (typeof exportPower !== 'number' || !Number.isFinite(exportPower)) {
+      throw modbusError('EVALIDATION', 'Grid export power must be a number');
+    }
+
+    this.feed = { exportPower, at: Date.now() };
+    await this.evaluate();
+    return this.getState();
+  }
+
+  /**
+   * Run one control step
+   * @returns {Promise<void>}
+   */
+  async evaluate() {
+    if (!this.enabled || this.evaluating) {
+      return;
+    }
+
+    this.evaluating = true;
+
+    try {
+      const now = Date.now();
+      const t = this.tuning;
+
+      if (!this.feed) {
+        return;
+      }
+
+      if (now - this.feed.at > t.feedTimeout * 1000) {
+        this.reason = 'Grid power feed is stale';
+        await this.pause();
+        return;
+      }
+
+      const status = await this.controller.client.readMultipleRegisters(['EVSE_STATE', 'POWER_OVERALL']);
+
+      if (status.EVSE_STATE === null) {
+        return;
+      }
+
+      if (!EVSE_VEHICLE.includes(status.EVSE_STATE)) {
+        this.reason = 'No EV connected';
+        // Withdraw the release so the next vehicle does not start before surplus allows it
+        await this.pause();
+        this.aboveSince = null;
+        this.belowSince = null;
+        return;
+      }
+
+      // The charger's own consumption already reduces the export, so add it back
+      const available = this.feed.exportPower + (status.POWER_OVERALL || 0) - t.reservePower;
+      this.surplus = this.surplus === null
+        ? available
+        : t.smoothing * available + (1 - t.smoothing) * this.surplus;
+
+      if (await this.evaluatePhases(now)) {
+        return;
+      }
+
+      await this.evaluateCurrent(now);
+    } catch (error) {
+      this.logger.error(`Surplus control step failed: ${error.message}`);
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  /**
+   * Decide on a 1 <-> 3 phase switch
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<boolean>} - true if a switch was performed
+   */
+  async evaluatePhases(now) {
+    const t = this.tuning;
+
+    if (!this.canSwitchPhases || !t.phaseSwitching) {
+      return false;
+    }
+
+    const threePhaseMinimum = this.minimumPower(3);
+    let candidate = null;
+
+    if (this.phases === 1 && this.surplus >= threePhaseMinimum + t.phaseHysteresis) {
+      candidate = 3;
+    } else if (this.phases === 3 && this.surplus < threePhaseMinimum) {
+      candidate = 1;
+    }
+
+    if (candidate !== this.phaseCandidate) {
+      this.phaseCandidate = candidate;
+      this.phaseCandidateSince = candidate ? now : null;
+    }
+
+    if (!candidate || now - this.phaseCandidateSince < t.phaseSwitchDelay * 1000 || now < this.nextPhaseSwitchAllowed()) {
+      return false;
+    }
+
+    // 3 -> 1 is only useful if one phase can still be charged
+    if (candidate === 1 && this.surplus < this.minimumPower(1)) {
+      return false;
+    }
+
+    this.logger.info(`Surplus mode: switching to ${candidate} phase${candidate === 1 ? '' : 's'} (surplus ${Math.round(this.surplus)}W)`);
+
+    if (this.charging) {
+      await this.controller.stopCharging();
+    }
+    await this.controller.setRequestedPhases(candidate === 1 ? 1 : 0);
+
+    this.phases = candidate;
+    this.charging = false;
+    this.setpoint = 0;
+    this.lastPhaseSwitch = now;
+    this.phaseCandidate = null;
+    this.phaseCandidateSince = null;
+    this.aboveSince = null;
+    this.belowSince = null;
+    this.reason = `Switched to ${candidate} phase${candidate === 1 ? '' : 's'}, waiting for phase switching pause`;
+    return true;
+  }
+
+  /**
+   * Start, adjust or pause charging based on the smoothed surplus
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Promise<void>}
+   */
+  async evaluateCurrent(now) {
+    const t = this.tuning;
+    const target = Math.min(t.maxCurrent, Math.floor(this.surplus / (t.voltage * this.phases)));
+
+    if (!this.charging) {
+      if (now < this.lastPhaseSwitch + this.phaseSwitchingPause * 1000) {
+        this.reason = 'Waiting for phase switching pause';
+        return;
+      }
+
+      if (this.surplus < this.minimumPower(this.phases) + t.startThreshold) {
+        this.aboveSince = null;
+        this.reason = 'Surplus below start threshold';
+        return;
+      }
+
+      this.aboveSince = this.aboveSince ?? now;
+      if (now - this.aboveSince < t.startDelay * 1000) {
+        this.reason = 'Surplus above start threshold, waiting for start delay';
+        return;
+      }
+
+      const current = Math.max(t.minCurrent, target);
+      this.logger.info(`Surplus mode: starting with ${current}A (surplus ${Math.round(this.surplus)}W)`);
+      await this.controller.startCharging(current);
+
+      this.charging = true;
+      this.setpoint = current;
+      this.lastCurrentChange = now;
+      this.aboveSince = null;
+      this.belowSince = null;
+      this.reason = 'Charging from surplus';
+      return;
+    }
+
+    let desired;
+
+    if (target >= t.minCurrent) {
+      this.belowSince = null;
+      desired = target;
+      this.reason = 'Charging from surplus';
+    } else {
+      // Ride through short dips (clouds) at the minimum current before pausing
+      this.belowSince = this.belowSince ?? now;
+      if (now - this.belowSince >= t.stopDelay * 1000) {
+        this.reason = 'Surplus below minimum charging power';
+        await this.pause();
+        return;
+      }
+      desired = t.minCurrent;
+      this.reason = 'Surplus below minimum, holding minimum current';
+    }
+
+    if (Math.abs(desired - this.setpoint) < t.currentStep) {
+      return;
+    }
+
+    if (now - this.lastCurrentChange < MODBUS_CONFIG.RECOMMENDED_CURRENT_CHANGE_INTERVAL) {
+      return;
+    }
+
+    await this.controller.setChargingCurrent(desired);
+    this.setpoint = desired;
+    this.lastCurrentChange = now;
+  }
+
+  /**
+   * Pause charging if surplus mode started it.
+   * Uses the charging release: a CHARGING_CURRENT_EM of 0 would mean "no limitation".
+   * @returns {Promise<void>}
+   */
+  async pause() {
+    if (!this.charging) {
+      return;
+    }
+
+    this.logger.info(`Surplus mode: pausing charging (${this.reason})`);
+    await this.controller.stopCharging();
+
+    this.charging = false;
+    this.setpoint = 0;
+    this.lastCurrentChange = Date.now();
+    this.belowSince = null;
+  }
+
+  /**
+   * Minimum charging power for a number of phases
+   * @param {number} phases - 1 or 3
+   * @returns {number} Power in W
+   */
+  minimumPower(phases) {
+    return this.tuning.minCurrent * this.tuning.voltage * phases;
+  }
+
+  /**
+   * Earliest time the next phase switch may happen
+   * @returns {number} Epoch ms
+   */
+  nextPhaseSwitchAllowed() {
+    if (!this.lastPhaseSwitch) {
+      return 0;
+    }
+    return this.lastPhaseSwitch + Math.max(this.phaseSwitchingPause, this.tuning.phaseSwitchDelay) * 1000;
+  }
+
+  /**
+   * Get the surplus controller state
+   * @returns {Object}
+   */
+  getState() {
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+
+    return {
+      enabled: this.enabled,
+      charging: this.charging,
+      setpoint: this.setpoint,
+      phases: this.phases,
+      phaseSwitchingAvailable: this.canSwitchPhases,
+      phaseSwitchingPause: this.phaseSwitchingPause,
+      surplus: this.surplus === null ? null : Math.round(this.surplus),
+      gridExport: this.feed ? this.feed.exportPower : null,
+      lastFeed: iso(this.feed?.at),
+      lastCurrentChange: iso(this.lastCurrentChange),
+      lastPhaseSwitch: iso(this.lastPhaseSwitch),
+      nextPhaseSwitchAllowed: iso(this.nextPhaseSwitchAllowed()),
+      reason: this.reason,
+      tuning: { ...this.tuning }
+    };
+  }
+}
+
+export default SurplusController;
@@ -0,0 +1,190 @@
+/**
+ * Telemetry Poller
+ * One shared poller per topic that publishes changes to any number of subscribers,
+ * so the bus load does not grow with the number of connected clients
+ */
+
+import { EventEmitter } from 'events';
+
+export class TelemetryPoller extends EventEmitter {
+  /**
+   * @param {AmtronController} controller - Amtron controller instance
+   * @param {Object} config - Poller configuration
+   * @param {number} config.statusInterval - Poll interval of the status topic in ms (default: 2000)
+   * @param {number} config.measurementsInterval - Poll interval of the measurements topic in ms (default: 2000)
+   * @param {number} config.sessionInterval - Poll interval of the session topic in ms (default: 10000)
+   * @param {number} config.controlInterval - Poll interval of the control and diagnostics topics in ms (default: 5000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(controller, config, logger) {
+    super();
+
+    this.controller = controller;
+    this.logger = logger;
+
+    this.topics = {
+      status: {
+        interval: config.statusInterval || 2000,
+        read: () => this.controller.getStatus()
+      },
+      measurements: {
+        interval: config.measurementsInterval || 2000,
+        read: async () => ({
+          voltage: await this.controller.getVoltage(),
+          current: await this.controller.getCurrent(),
+          power: await this.controller.getPower(),
+          temperature: await this.controller.getTemperature()
+        })
+      },
+      session: {
+        interval: config.sessionInterval || 10000,
+        read: async () => ({
+          ...await this.controller.getSessionData(),
+          energy: await this.controller.getEnergy()
+        })
+      },
+      control: {
+        interval: config.controlInterval || 5000,
+        read: () => this.controller.getControlState()
+      },
+      diagnostics: {
+        interval: config.controlInterval || 5000,
+        read: () => this.controller.getDiagnostics()
+      }
+    };
+
+    for (const topic of Object.values(this.topics)) {
+      topic.subscribers = 0;
+      topic.timer = null;
+      topic.polling = false;
+      topic.last = null;
+      topic.lastJson = null;
+      topic.polls = 0;
+      topic.published = 0;
+    }
+
+    this.sequence = 0;
+  }
+
+  /**
+   * Names of all topics
+   * @returns {Array<string>}
+   */
+  getTopics() {
+    return Object.keys(this.topics);
+  }
+
+  /**
+   * Register interest in a topic. Polling starts with the first subscriber.
+   * @param {string} name - Topic name
+   * @returns {Object|null} Last published message of the topic, if any
+   */
+  subscribe(name) {
+    const topic = this.requireTopic(name);
+
+    topic.subscribers++;
+    if (topic.subscribers === 1) {
+      this.logger.debug(`Telemetry: polling ${name} every ${topic.interval}ms`);
+      topic.timer = setInterval(() => this.poll(name), topic.interval);
+      this.poll(name);
+    }
+
+    return topic.last;
+  }
+
+  /**
+   * Drop interest in a topic. Polling stops with the last subscriber.
+   * @param {string} name - Topic name
+   */
+  unsubscribe(name) {
+    const topic = this.requireTopic(name);
+
+    topic.subscribers = Math.max(0, topic.subscribers - 1);
+    if (topic.subscribers === 0 && topic.timer) {
+      clearInterval(topic.timer);
+      topic.timer = null;
+      this.logger.debug(`Telemetry: stopped polling ${name}`);
+    }
+  }
+
+  /**
+   * Stop all polling
+   */
+  stop() {
+    for (const topic of Object.values(this.topics)) {
+      if (topic.timer) {
+        clearInterval(topic.timer);
+        topic.timer = null;
+      }
+      topic.subscribers = 0;
+    }
+  }
+
+  /**
+   * Poll a topic and publish the result if it changed
+   * @param {string} name - Topic name
+   * @returns {Promise<void>}
+   */
+  async poll(name) {
+    const topic = this.topics[name];
+
+    // A slow bus must not stack up polls of the same topic
+    if (topic.polling) {
+      return;
+    }
+
+    topic.polling = true;
+
+    try {
+      const data = await topic.read();
+      const json = JSON.stringify(data);
+      topic.polls++;
+
+      if (json !== topic.lastJson) {
+        topic.lastJson = json;
+        topic.last = {
+          id: ++this.sequence,
+          topic: name,
+          data,
+          timestamp: new Date().toISOString()
+        };
+        topic.published++;
+        this.emit('message', topic.last);
+      }
+    } catch (error) {
+      this.logger.warn(`Telemetry: polling ${name} failed: ${error.message}`);
+    } finally {
+      topic.polling = false;
+    }
+  }
+
+  /**
+   * Get a topic or fail for unknown names
+   * @param {string} name - Topic name
+   * @returns {Object}
+   */
+  requireTopic(name) {
+    const topic = this.topics[name];
+    if (!topic) {
+      throw new Error(`Unknown telemetry topic "${name}", use one of ${this.getTopics().join(', ')}`);
+    }
+    return topic;
+  }
+
+  /**
+   * Get subscriber and poll counters per topic
+   * @returns {Object}
+   */
+  getStats() {
+    return Object.fromEntries(Object.entries(this.topics).map(([name, topic]) => [name, {
+      subscribers: topic.subscribers,
+      interval: topic.interval,
+      polling: topic.timer !== null,
+      polls: topic.polls,
+      published: topic.published,
+      lastPublished: topic.last ? topic.last.timestamp : null
+    }]));
+  }
+}
+
+export default TelemetryPoller;
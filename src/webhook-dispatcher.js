@@ -0,0 +1,454 @@
+/**
+ * Webhook Dispatcher
+ * Sends charging monitor events to configured HTTP endpoints with templated JSON bodies,
+ * optional HMAC signatures and retries with exponential backoff
+ */
+
+import fs from 'fs/promises';
+import { createHmac } from 'crypto';
+import { WebhookLog } from './webhook-log.js';
+import { MONITOR_EVENTS } from './charging-monitor.js';
+import { modbusError } from './modbus-client.js';
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const USER_AGENT = 'mennekes-amtron-rpc-webhook/1.0';
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over "<timestamp>.<body>" with the shared secret.
+ * @param {string} secret - Shared secret of the webhook
+ * @param {number|string} timestamp - Value of the X-Amtron-Timestamp header (Unix seconds)
+ * @param {string} body - Raw request body
+ * @returns {string} - 'sha256=<hex>' (value of the X-Amtron-Signature header)
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Look up a dotted path ("event.after.power") in the template context
+ * @param {Object} context - Template context
+ * @param {string} path - Dotted path
+ * @returns {any} - Value, or undefined if the path does not exist
+ */
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), context);
+}
+
+/**
+ * Render a JSON body template. "{{path}}" placeholders in strings are replaced by values from the context;
+ * a string that is a single placeholder keeps the type of the value (number, boolean, object).
+ * @param {any} template - JSON template
+ * @param {Object} context - Template context
+ * @returns {any} - Rendered JSON value
+ */
+export function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const single = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (single) {
+      return lookup(context, single[1]) ?? null;
+    }
+    return template.replace(PLACEHOLDER, (match, path) => {
+      const value = lookup(context, path);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(entry => renderTemplate(entry, context));
+  }
+  if (template !== null && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+}
+
+export class WebhookDispatcher {
+  /**
+   * @param {Object} config - Dispatcher configuration
+   * @param {string} config.file - Path of the JSON file with the webhook definitions
+   * @param {string} config.logFile - Path of the delivery log (default: 'data/webhook-deliveries.json')
+   * @param {number} config.maxAttempts - Attempts per delivery before it fails (default: 5)
+   * @param {number} config.retryDelay - Delay before the first retry in ms, doubled for every further retry (default: 2000)
+   * @param {number} config.timeout - Request timeout in ms (default: 10000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      file: config.file,
+      maxAttempts: config.maxAttempts || 5,
+      retryDelay: config.retryDelay || 2000,
+      timeout: config.timeout || 10000
+    };
+
+    this.logger = logger;
+    this.log = new WebhookLog({ file: config.logFile }, logger);
+    this.webhooks = [];
+    this.chargers = [];
+    this.listeners = [];
+    this.queues = new Map(); // Webhook ID -> promise chain, deliveries to one endpoint are sent in order
+    this.timers = new Map(); // Retry delays -> resolve, cut short by stop()
+    this.running = false;
+  }
+
+  /**
+   * Load the webhooks and the delivery log, and resume deliveries interrupted by a restart
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.webhooks = await this.loadWebhooks();
+    await this.log.load();
+    this.running = true;
+
+    this.logger.info(`Webhooks enabled: ${this.webhooks.map(webhook => `${webhook.id}${webhook.enabled ? '' : ' (disabled)'}`).join(', ') || 'none configured'}`);
+
+    for (const delivery of this.log.pending()) {
+      const webhook = this.getWebhook(delivery.webhookId);
+      if (webhook) {
+        this.enqueue(webhook, delivery);
+      } else {
+        await this.log.recordAttempt(delivery, {
+          at: new Date().toISOString(),
+          statusCode: null,
+          error: 'Webhook is no longer configured',
+          duration: 0
+        }, 'failed');
+      }
+    }
+  }
+
+  /**
+   * Stop listening and cancel retry delays. Unfinished deliveries stay pending and are resumed on the next start.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    for (const [monitor, listener] of this.listeners) {
+      monitor.off('event', listener);
+    }
+    this.listeners = [];
+
+    for (const [timer, resolve] of this.timers) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.timers.clear();
+
+    await Promise.all(this.queues.values());
+    await this.log.flush();
+  }
+
+  /**
+   * Read and validate the webhook definitions
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadWebhooks() {
+    const content = JSON.parse(await fs.readFile(this.config.file, 'utf8'));
+    const entries = Array.isArray(content) ? content : content.webhooks;
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`${this.config.file} must contain a list of webhooks`);
+    }
+
+    const ids = new Set();
+
+    return entries.map((entry) => {
+      const invalid = (reason) => new Error(`Webhook "${entry.id}" in ${this.config.file}: ${reason}`);
+
+      if (!ID_PATTERN.test(entry.id || '')) {
+        throw invalid('the ID must be 1-64 letters, digits, "-" or "_"');
+      }
+      if (ids.has(entry.id)) {
+        throw invalid('the ID appears twice');
+      }
+      ids.add(entry.id);
+
+      let url;
+      try {
+        url = new URL(entry.url);
+      } catch {
+        throw invalid('"url" is not a valid URL');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw invalid('"url" must be an http or https URL');
+      }
+
+      const events = entry.events ?? ['*'];
+      if (!Array.isArray(events) || events.length === 0 || !events.every(type => type === '*' || MONITOR_EVENTS.includes(type))) {
+        throw invalid(`"events" must be a list of event types (${MONITOR_EVENTS.join(', ')}) or ["*"]`);
+      }
+      if (entry.chargers !== undefined && !(Array.isArray(entry.chargers) && entry.chargers.every(id => typeof id === 'string'))) {
+        throw invalid('"chargers" must be a list of charger IDs');
+      }
+      if (entry.headers !== undefined && (typeof entry.headers !== 'object' || entry.headers === null
+        || !Object.values(entry.headers).every(value => typeof value === 'string'))) {
+        throw invalid('"headers" must be an object with string values');
+      }
+      if (entry.secret !== undefined && (typeof entry.secret !== 'string' || entry.secret.length === 0)) {
+        throw invalid('"secret" must be a non-empty string');
+      }
+
+      return {
+        id: entry.id,
+        url: url.href,
+        events,
+        chargers: entry.chargers || null,
+        body: entry.body ?? null,
+        headers: entry.headers || {},
+        secret: entry.secret || null,
+        enabled: entry.enabled !== false
+      };
+    });
+  }
+
+  /**
+   * Send the charging monitor events of a charger to the webhooks
+   * @param {Object} charger - Charger entry with id, name and controller
+   */
+  watch(charger) {
+    const listener = (event) => {
+      this.dispatch(charger, event).catch((error) => {
+        this.logger.error(`Error dispatching ${event.type} webhooks: ${error.message}`);
+      });
+    };
+
+    charger.controller.monitor.on('event', listener);
+    this.listeners.push([charger.controller.monitor, listener]);
+    this.chargers.push(charger);
+  }
+
+  /**
+   * Create a delivery for every enabled webhook that subscribes to the event
+   * @param {Object} charger - Charger entry
+   * @param {Object} event - Charging monitor event
+   * @returns {Promise<void>}
+   */
+  async dispatch(charger, event) {
+    if (!this.running) {
+      return;
+    }
+
+    const webhooks = this.webhooks.filter(webhook => webhook.enabled
+      && (webhook.events.includes('*') || webhook.events.includes(event.type))
+      && (!webhook.chargers || webhook.chargers.includes(charger.id)));
+
+    for (const webhook of webhooks) {
+      this.enqueue(webhook, await this.createDelivery(webhook, charger, event));
+    }
+  }
+
+  /**
+   * Render the body of an event for a webhook and log the pending delivery
+   * @param {Object} webhook - Webhook definition
+   * @param {Object} charger - Charger entry
+   * @param {Object} event - Charging monitor event
+   * @returns {Promise<Object>} - Stored delivery
+   */
+  async createDelivery(webhook, charger, event) {
+    const context = {
+      event,
+      charger: { id: charger.id, name: charger.name },
+      webhook: { id: webhook.id }
+    };
+    const body = webhook.body !== null
+      ? renderTemplate(webhook.body, context)
+      : { event, charger: context.charger };
+
+    return this.log.add({
+      webhookId: webhook.id,
+      eventType: event.type,
+      eventId: event.id,
+      chargerId: charger.id,
+      url: webhook.url,
+      body
+    });
+  }
+
+  /**
+   * Queue a delivery behind the earlier deliveries of the same webhook
+   * @param {Object} webhook - Webhook definition
+   * @param {Object} delivery - Stored delivery
+   * @param {number} [maxAttempts] - Attempts before the delivery fails (default: config.maxAttempts)
+   * @returns {Promise<void>}
+   */
+  enqueue(webhook, delivery, maxAttempts = this.config.maxAttempts) {
+    const chain = (this.queues.get(webhook.id) || Promise.resolve())
+      .then(() => this.deliver(webhook, delivery, maxAttempts))
+      .catch((error) => {
+        this.logger.error(`Error delivering webhook ${webhook.id}: ${error.message}`);
+      });
+
+    this.queues.set(webhook.id, chain);
+    chain.then(() => {
+      if (this.queues.get(webhook.id) === chain) {
+        this.queues.delete(webhook.id);
+      }
+    });
+    return chain;
+  }
+
+  /**
+   * Send a delivery until it succeeds, fails permanently or runs out of attempts.
+   * Network errors, timeouts, 408, 429 and 5xx responses are retried; other responses fail at once.
+   * @param {Object} webhook - Webhook definition
+   * @param {Object} delivery - Stored delivery
+   * @param {number} maxAttempts - Attempts before the delivery fails
+   * @returns {Promise<void>}
+   */
+  async deliver(webhook, delivery, maxAttempts) {
+    while (this.running && delivery.status === 'pending') {
+      const attempt = await this.send(webhook, delivery);
+      const count = delivery.attempts.length + 1;
+
+      if (attempt.statusCode !== null && attempt.statusCode >= 200 && attempt.statusCode < 300) {
+        await this.log.recordAttempt(delivery, attempt, 'delivered');
+        this.logger.debug(`Webhook ${webhook.id}: ${delivery.eventType} delivered (HTTP ${attempt.statusCode})`);
+        return;
+      }
+
+      const retryable = attempt.statusCode === null || attempt.statusCode === 408
+        || attempt.statusCode === 429 || attempt.statusCode >= 500;
+
+      if (!retryable || count >= maxAttempts) {
+        await this.log.recordAttempt(delivery, attempt, 'failed');
+        this.logger.warn(`Webhook ${webhook.id}: ${delivery.eventType} failed on attempt ${count}: ${attempt.error}`);
+        return;
+      }
+
+      await this.log.recordAttempt(delivery, attempt, 'pending');
+      const delay = Math.min(this.config.retryDelay * 2 ** (count - 1), MAX_RETRY_DELAY);
+      this.logger.debug(`Webhook ${webhook.id}: attempt ${count} failed (${attempt.error}), retrying in ${delay}ms`);
+      await this.wait(delay);
+    }
+  }
+
+  /**
+   * Make one HTTP request for a delivery
+   * @param {Object} webhook - Webhook definition
+   * @param {Object} delivery - Stored delivery
+   * @returns {Promise<Object>} - Attempt {at, statusCode, error, duration}
+   */
+  async send(webhook, delivery) {
+    const body = JSON.stringify(delivery.body);
+    const headers = {
+      ...webhook.headers,
+      'content-type': 'application/json',
+      'user-agent': USER_AGENT,
+      'x-amtron-event': delivery.eventType,
+      'x-amtron-delivery': delivery.id
+    };
+
+    if (webhook.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['x-amtron-timestamp'] = String(timestamp);
+      headers['x-amtron-signature'] = signPayload(webhook.secret, timestamp, body);
+    }
+
+    const at = new Date().toISOString();
+    const started = Date.now();
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.config.timeout)
+      });
+      await response.arrayBuffer().catch(() => {});
+
+      return {
+        at,
+        statusCode: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+        duration: Date.now() - started
+      };
+    } catch (error) {
+      return {
+        at,
+        statusCode: null,
+        error: error.name === 'TimeoutError' ? `Timed out after ${this.config.timeout}ms` : (error.cause?.message || error.message),
+        duration: Date.now() - started
+      };
+    }
+  }
+
+  /**
+   * Wait before a retry (resolved early by stop())
+   * @param {number} ms - Delay in ms
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.set(timer, resolve);
+    });
+  }
+
+  /**
+   * Get a webhook definition by ID
+   * @param {string} id - Webhook ID
+   * @returns {Object|null}
+   */
+  getWebhook(id) {
+    return this.webhooks.find(webhook => webhook.id === id) || null;
+  }
+
+  /**
+   * List the webhooks. Secrets and header values are not returned.
+   * @returns {Array<Object>}
+   */
+  listWebhooks() {
+    return this.webhooks.map(webhook => ({
+      id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      chargers: webhook.chargers,
+      enabled: webhook.enabled,
+      signed: webhook.secret !== null,
+      headers: Object.keys(webhook.headers),
+      template: webhook.body !== null
+    }));
+  }
+
+  /**
+   * Send a test event to a webhook, once and without retries
+   * @param {string} id - Webhook ID
+   * @param {string} [chargerId] - Charger used in the template context (default: the first charger)
+   * @returns {Promise<Object>} - Completed delivery
+   */
+  async test(id, chargerId) {
+    const webhook = this.getWebhook(id);
+    if (!webhook) {
+      throw modbusError('ENOENTRY', `Webhook ${id} not found`);
+    }
+
+    const charger = chargerId !== undefined
+      ? this.chargers.find(entry => entry.id === chargerId)
+      : this.chargers[0];
+    if (!charger) {
+      throw modbusError('EVALIDATION', `Unknown charger "${chargerId}"`);
+    }
+
+    const state = charger.controller.monitor.getState();
+    const delivery = await this.createDelivery(webhook, charger, {
+      id: 0,
+      type: 'test',
+      message: 'Test delivery',
+      timestamp: new Date().toISOString(),
+      before: state,
+      after: state
+    });
+
+    await this.enqueue(webhook, delivery, 1);
+    return delivery;
+  }
+}
+
+export default WebhookDispatcher;
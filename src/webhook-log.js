@@ -0,0 +1,142 @@
+/**
+ * Webhook Delivery Log
+ * File-backed log of webhook deliveries with their attempts
+ */
+
+import { randomUUID } from 'crypto';
+import { JsonFileStore } from './json-file-store.js';
+
+const STORE_VERSION = 1;
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+export class WebhookLog {
+  /**
+   * @param {Object} config - Log configuration
+   * @param {string} config.file - Path of the JSON file (default: 'data/webhook-deliveries.json')
+   * @param {number} config.maxDeliveries - Maximum number of deliveries kept, oldest completed ones are dropped (default: 1000)
+   * @param {Object} logger - Winston logger instance
+   */
+  constructor(config, logger) {
+    this.config = {
+      file: config.file || 'data/webhook-deliveries.json',
+      maxDeliveries: config.maxDeliveries || 1000
+    };
+
+    this.logger = logger;
+    this.deliveries = [];
+    this.storage = new JsonFileStore(this.config.file, 'webhook log', logger);
+  }
+
+  /**
+   * Load deliveries from disk (a missing file is an empty log)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const content = await this.storage.read();
+    this.deliveries = Array.isArray(content?.deliveries) ? content.deliveries : [];
+
+    if (content) {
+      this.logger.info(`Loaded ${this.deliveries.length} webhook deliveries from ${this.config.file}`);
+    }
+  }
+
+  /**
+   * Persist the log
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.storage.write({
+      version: STORE_VERSION,
+      deliveries: this.deliveries
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.storage.flush();
+  }
+
+  /**
+   * Add a pending delivery
+   * @param {Object} delivery - Delivery without ID, status and attempts
+   * @returns {Promise<Object>} - Stored delivery
+   */
+  async add(delivery) {
+    const stored = {
+      id: randomUUID(),
+      ...delivery,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.deliveries.push(stored);
+
+    // Drop the oldest completed deliveries; pending ones are kept until they are sent
+    let excess = this.deliveries.length - this.config.maxDeliveries;
+    this.deliveries = this.deliveries.filter((entry) => {
+      if (excess > 0 && entry.status !== 'pending') {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+
+    await this.save();
+    return stored;
+  }
+
+  /**
+   * Record an attempt and optionally complete the delivery
+   * @param {Object} delivery - Stored delivery
+   * @param {Object} attempt - Attempt {at, statusCode, error, duration}
+   * @param {string} status - New status from DELIVERY_STATUSES
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(delivery, attempt, status) {
+    delivery.attempts.push(attempt);
+    delivery.status = status;
+    if (status !== 'pending') {
+      delivery.completedAt = attempt.at;
+    }
+    await this.save();
+  }
+
+  /**
+   * Deliveries that were not completed, oldest first
+   * @returns {Array<Object>}
+   */
+  pending() {
+    return this.deliveries.filter(delivery => delivery.status === 'pending');
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} [filter] - Filter options
+   * @param {string} [filter.webhookId] - Only deliveries of this webhook
+   * @param {string} [filter.status] - Only deliveries with this status
+   * @param {number} [filter.limit] - Maximum number of deliveries returned (default: 50)
+   * @param {number} [filter.offset] - Number of deliveries skipped (default: 0)
+   * @returns {{total: number, deliveries: Array<Object>}}
+   */
+  list(filter = {}) {
+    const matching = this.deliveries
+      .filter(delivery => (!filter.webhookId || delivery.webhookId === filter.webhookId)
+        && (!filter.status || delivery.status === filter.status))
+      .reverse();
+    const offset = filter.offset || 0;
+    const limit = filter.limit || 50;
+
+    return {
+      total: matching.length,
+      deliveries: matching.slice(offset, offset + limit)
+    };
+  }
+}
+
+export default WebhookLog;
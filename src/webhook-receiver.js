@@ -0,0 +1,124 @@
+/**
+ * Webhook Receiver
+ * Local HTTP endpoint that prints incoming webhook deliveries, for testing webhook definitions
+ *
+ * Usage:
+ *   npm run webhook-receiver -- [--port <port>] [--secret <secret>] [--status <code>]
+ *
+ * Options:
+ *   --port <port>     Port to listen on (default: 9000)
+ *   --secret <secret> Verify the X-Amtron-Signature header with this secret (default: WEBHOOK_SECRET)
+ *   --status <code>   HTTP status to answer with, e.g. 500 to test retries (default: 200)
+ */
+
+import dotenv from 'dotenv';
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { signPayload } from './webhook-dispatcher.js';
+
+dotenv.config();
+
+/**
+ * Maximum age of a signed delivery in seconds; older timestamps are reported as possible replays
+ */
+const MAX_SIGNATURE_AGE = 300;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{port: number, secret: string|null, status: number}}
+ */
+function parseArgs(argv) {
+  const options = {
+    port: 9000,
+    secret: process.env.WEBHOOK_SECRET || null,
+    status: 200
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i]);
+    } else if (argv[i] === '--secret') {
+      options.secret = argv[++i];
+    } else if (argv[i] === '--status') {
+      options.status = parseInt(argv[++i]);
+    } else {
+      throw new Error(`Unknown option ${argv[i]}\nUsage: npm run webhook-receiver -- [--port <port>] [--secret <secret>] [--status <code>]`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Check the signature of a delivery
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} body - Raw body
+ * @param {string} secret - Shared secret
+ * @returns {string} - Verification result
+ */
+function verifySignature(req, body, secret) {
+  const timestamp = req.headers['x-amtron-timestamp'];
+  const signature = req.headers['x-amtron-signature'];
+
+  if (!timestamp || !signature) {
+    return 'MISSING (the webhook has no secret)';
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return 'INVALID';
+  }
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  return age > MAX_SIGNATURE_AGE ? `valid, but ${Math.round(age)}s old` : 'valid';
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+
+      console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+      console.log(`  Event:     ${req.headers['x-amtron-event'] || '-'}`);
+      console.log(`  Delivery:  ${req.headers['x-amtron-delivery'] || '-'}`);
+      if (options.secret) {
+        console.log(`  Signature: ${verifySignature(req, body, options.secret)}`);
+      }
+
+      let printed = body;
+      try {
+        printed = JSON.stringify(JSON.parse(body), null, 2);
+      } catch {
+        // Not JSON, print as received
+      }
+      console.log(printed.replace(/^/gm, '  '));
+      console.log(`  -> HTTP ${options.status}`);
+      console.log('');
+
+      res.writeHead(options.status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ received: true }));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, resolve);
+  });
+
+  console.log(`Webhook receiver listening on http://localhost:${options.port}/ (answering HTTP ${options.status})`);
+  if (options.secret) {
+    console.log('Signatures are verified with the configured secret');
+  }
+  console.log('');
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,211 @@
+/**
+ * Smoke test
+ * Starts the server against the built-in simulator and drives it over JSON-RPC.
+ * Set MQTT_TEST_URL (e.g. mqtt://localhost:1883) to also test the MQTT bridge against a local broker.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mqtt from 'mqtt';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT = 15000;
+const MQTT_URL = process.env.MQTT_TEST_URL || null;
+
+let server = null;
+let output = '';
+let dataDir = null;
+let url = null;
+let baseTopic = null;
+
+/**
+ * Find a free TCP port on localhost
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+  const probe = net.createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, 'close');
+  return port;
+}
+
+/**
+ * Send a JSON-RPC request
+ * @param {string} method - Method name
+ * @param {Object} [params] - Parameters
+ * @returns {Promise<Object>} - JSON-RPC response ({ result } or { error })
+ */
+async function call(method, params = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(5000)
+  });
+  return res.json();
+}
+
+/**
+ * Send a JSON-RPC request and return the data of a successful result
+ * @param {string} method - Method name
+ * @param {Object} [params] - Parameters
+ * @returns {Promise<*>}
+ */
+async function callOk(method, params) {
+  const response = await call(method, params);
+  assert.equal(response.error, undefined, `${method} failed: ${JSON.stringify(response.error)}`);
+  return response.result.data;
+}
+
+/**
+ * Wait until the server answers ping, or fail if it exits or takes too long
+ */
+async function waitForServer() {
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      throw new Error(`Server exited with code ${server.exitCode}:\n${output}`);
+    }
+    try {
+      const response = await call('ping');
+      if (response.result?.success) {
+        return;
+      }
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  throw new Error(`Server did not answer within ${STARTUP_TIMEOUT / 1000} s:\n${output}`);
+}
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'amtron-rpc-test-'));
+  const port = await freePort();
+  url = `http://127.0.0.1:${port}/`;
+  baseTopic = `amtron-test-${port}`;
+
+  server = spawn(process.execPath, ['src/index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'production',
+      SIMULATOR_ENABLED: 'true',
+      SIMULATOR_EV_CONNECTED: 'true',
+      RPC_HOST: '127.0.0.1',
+      RPC_PORT: String(port),
+      AUTH_ENABLED: 'false',
+      MQTT_ENABLED: MQTT_URL ? 'true' : 'false',
+      ...(MQTT_URL && { MQTT_URL, MQTT_BASE_TOPIC: baseTopic, MQTT_DISCOVERY: 'false' }),
+      LOG_FILE: path.join(dataDir, 'amtron-rpc.log'),
+      SESSION_STORE_FILE: path.join(dataDir, 'sessions.json'),
+      ERROR_HISTORY_FILE: path.join(dataDir, 'errors.json'),
+      SCHEDULE_FILE: path.join(dataDir, 'schedules.json'),
+      WEBHOOK_LOG_FILE: path.join(dataDir, 'webhook-deliveries.json')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', chunk => { output += chunk; });
+  server.stderr.on('data', chunk => { output += chunk; });
+
+  await waitForServer();
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = once(server, 'exit');
+    server.kill('SIGTERM');
+    const timer = setTimeout(() => server.kill('SIGKILL'), 5000);
+    await exited;
+    clearTimeout(timer);
+  }
+  if (dataDir) {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('reports the simulated charger', async () => {
+  const health = await callOk('health');
+  assert.equal(health.modbusConnected, true);
+
+  const chargers = await callOk('listChargers');
+  assert.equal(chargers.length, 1);
+  assert.equal(chargers[0].connected, true);
+});
+
+test('starts charging', async () => {
+  const result = await callOk('startCharging', { current: 10 });
+  assert.equal(result.chargingCurrent, 10);
+  assert.equal(result.chargingReleased, true);
+  assert.equal(result.message, 'Charging started with 10A');
+
+  const control = await callOk('getControlState');
+  assert.equal(control.chargingCurrent, 10);
+  assert.equal(control.chargingReleased, true);
+});
+
+test('reads registers', async () => {
+  const current = await callOk('readRegister', { register: 'CHARGING_CURRENT_EM' });
+  assert.equal(current.value, 10);
+
+  const registers = await callOk('readRegisters', { registers: ['CHARGING_RELEASE_EM', 'EVSE_STATE'] });
+  assert.equal(registers.CHARGING_RELEASE_EM.value, 1);
+  assert.equal(typeof registers.EVSE_STATE.value, 'number');
+});
+
+test('stops charging', async () => {
+  const result = await callOk('stopCharging');
+  assert.equal(result.chargingReleased, false);
+
+  const control = await callOk('getControlState');
+  assert.equal(control.chargingReleased, false);
+});
+
+test('accepts MQTT commands', { skip: !MQTT_URL && 'MQTT_TEST_URL not set', timeout: 10000 }, async () => {
+  const client = await mqtt.connectAsync(MQTT_URL);
+
+  try {
+    const messages = new Map();
+    const received = (topic, check) => new Promise(resolve => {
+      const match = () => messages.has(topic) && check(messages.get(topic));
+      if (match()) {
+        resolve(messages.get(topic));
+        return;
+      }
+      client.on('message', function listener() {
+        if (match()) {
+          client.off('message', listener);
+          resolve(messages.get(topic));
+        }
+      });
+    });
+    client.on('message', (topic, payload) => messages.set(topic, payload.toString()));
+
+    await client.subscribeAsync([`${baseTopic}/availability`, `${baseTopic}/commandResult`]);
+    await received(`${baseTopic}/availability`, value => value === 'online');
+
+    await client.publishAsync(`${baseTopic}/command/current`, '12');
+    const result = JSON.parse(await received(`${baseTopic}/commandResult`, value => JSON.parse(value).command === 'current'));
+    assert.equal(result.success, true);
+    assert.equal(result.data.chargingCurrent, 12);
+  } finally {
+    await client.endAsync();
+  }
+});
+
+test('rejects invalid parameters with -32602', async () => {
+  const response = await call('startCharging', { current: '16' });
+  assert.equal(response.error.code, -32602);
+  assert.equal(response.error.data.type, 'EVALIDATION');
+});